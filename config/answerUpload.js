@@ -0,0 +1,33 @@
+const multer = require('multer');
+const path = require('path');
+const crypto = require('crypto');
+
+// Configure multer for answer file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/');
+  },
+  filename: (req, file, cb) => {
+    // Random names: files of one request, or of parallel requests, must never share a temp file
+    cb(null, `answer_${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname)}`);
+  }
+});
+
+const uploadAnswer = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, JPG, and PNG files are allowed for answers'), false);
+    }
+  }
+});
+
+module.exports = {
+  uploadAnswer
+};
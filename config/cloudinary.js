@@ -72,6 +72,7 @@ const uploadAnswerFile = async (file) => {
 };
 
 module.exports = {
+  cloudinary,
   uploadExamFile,
   uploadAnswerFile
 };
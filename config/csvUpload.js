@@ -0,0 +1,22 @@
+const multer = require('multer');
+const path = require('path');
+
+// CSV imports are parsed straight from memory; nothing is written to disk
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
+    if (allowedTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+module.exports = {
+  uploadCsv
+};
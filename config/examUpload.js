@@ -0,0 +1,40 @@
+const multer = require('multer');
+const path = require('path');
+const crypto = require('crypto');
+
+// Exam papers land in uploads/ first and are then handed to the file storage backend
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/');
+  },
+  filename: (req, file, cb) => {
+    // Random names: files of one request, or of parallel requests, must never share a temp file
+    cb(null, `exam_${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname)}`);
+  }
+});
+
+const uploadExamFile = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    // Allow PDF and image files
+    const allowedTypes = [
+      'application/pdf',
+      'image/jpeg',
+      'image/jpg',
+      'image/png'
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, JPG, and PNG files are allowed for exam uploads'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+module.exports = {
+  uploadExamFile
+};
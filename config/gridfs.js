@@ -1,6 +1,4 @@
 const mongoose = require('mongoose');
-const multer = require('multer');
-const GridFsStorage = require('multer-gridfs-storage').GridFsStorage;
 const Grid = require('gridfs-stream');
 
 // Create GridFS connection
@@ -60,62 +58,8 @@ const initGridFS = () => {
   });
 };
 
-// Configure GridFS storage for multer
-const createGridFSStorage = () => {
-  const storage = new GridFsStorage({
-    url: process.env.MONGO_URI,
-    options: {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    },
-    file: (req, file) => {
-      // Only accept PDF files for exams
-      if (file.mimetype === 'application/pdf') {
-        return {
-          bucketName: 'exams',
-          filename: `exam_${Date.now()}_${file.originalname}`,
-          metadata: {
-            originalName: file.originalname,
-            uploadedBy: req.user ? req.user.id : null,
-            uploadedAt: new Date(),
-            contentType: file.mimetype
-          }
-        };
-      } else {
-        return null; // Reject non-PDF files
-      }
-    }
-  });
-  
-  return storage;
-};
-
-// Multer middleware for GridFS
-const uploadExamFile = multer({
-  storage: createGridFSStorage(),
-  fileFilter: (req, file, cb) => {
-    // Allow PDF and image files
-    const allowedTypes = [
-      'application/pdf',
-      'image/jpeg',
-      'image/jpg', 
-      'image/png'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF, JPG, and PNG files are allowed for exam uploads'), false);
-    }
-  },
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  }
-});
-
 module.exports = {
   initGridFS,
-  uploadExamFile,
   getGFS: () => gfs,
   getBucket: () => gfsBucket
 };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Every transport implements send({ to, subject, text, html }) and returns a promise.
+// MAIL_TRANSPORT selects one: 'smtp' for real delivery, 'file' to write messages
+// to MAIL_FILE_DIR, 'console' (default) to print them.
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail({ from: process.env.MAIL_FROM, ...message })
+  };
+};
+
+const createFileTransport = (dir = process.env.MAIL_FILE_DIR || 'mail-outbox') => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `mail_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ from: process.env.MAIL_FROM, ...message, sentAt: new Date() }, null, 2));
+    return { file };
+  }
+});
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+const createTransport = (name = process.env.MAIL_TRANSPORT) => {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    default:
+      return createConsoleTransport();
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// Swap the transport at runtime, e.g. to capture mail in tests
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = (message) => getTransport().send(message);
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,184 @@
+const ExamAttempt = require('../models/ExamAttempt');
+const Exam = require('../models/Exam');
+const Submission = require('../models/Submission');
+const { gradeAnswers } = require('../utils/grading');
+const { buildSubmissionFiles } = require('../utils/answerPages');
+const { deleteFile } = require('../storage');
+const { publishExamEvent } = require('../utils/liveEvents');
+
+// How often open attempts are swept and how many are processed per sweep
+const SWEEP_INTERVAL_MS = parseInt(process.env.ATTEMPT_SWEEP_INTERVAL_MS, 10) || 30 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+
+let timer = null;
+let sweeping = false;
+
+const isLate = (submittedAt, ...deadlines) => deadlines.some(deadline => deadline && submittedAt > deadline);
+
+// Turn the work saved on an expired attempt into a Submission: the draft
+// answer pages for file exams, or the auto-graded responses for structured exams.
+// Work saved after the attempt deadline or after the exam closed is flagged late.
+const finalizeAttempt = async (attempt, exam) => {
+  const isStructured = exam.format === 'questions';
+  if (!isStructured) attempt.migrateLegacyDraft();
+  if (isStructured ? attempt.answers.length === 0 : attempt.draftFiles.length === 0) return null;
+
+  const existingSubmission = await Submission.findOne({
+    studentId: attempt.studentId,
+    examId: attempt.examId
+  });
+  if (existingSubmission) return null;
+
+  const savedAt = isStructured
+    ? new Date(Math.max(...attempt.answers.map(answer => answer.answeredAt)))
+    : attempt.draftSavedAt;
+  const submittedAt = savedAt || new Date();
+  const late = isLate(submittedAt, attempt.expiresAt, exam.closesAt);
+
+  const files = isStructured
+    ? null
+    : await buildSubmissionFiles(attempt.draftFiles, { studentId: attempt.studentId, examId: attempt.examId });
+
+  // Structured answers are graded straight away
+  const submission = new Submission({
+    studentId: attempt.studentId,
+    examId: attempt.examId,
+    ...(isStructured
+      ? { ...gradeAnswers(exam, attempt.answers), autoGraded: true, gradedAt: new Date(), status: 'graded' }
+      : { answerUrl: files.answerUrl, answerFiles: files.answerFiles, status: late ? 'late' : 'submitted' }),
+    submittedAt,
+    isLate: late
+  });
+
+  try {
+    await submission.save();
+  } catch (error) {
+    if (files && files.combinedKey) {
+      deleteFile(files.combinedKey).catch(deleteError => console.error('Combined answer rollback error:', deleteError));
+    }
+    // The student submitted manually between our check and the insert
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return submission;
+};
+
+const processAttempt = async (attempt, now) => {
+  const exam = await Exam.findById(attempt.examId);
+
+  if (exam) {
+    await attempt.refreshTimer(exam, now);
+    if (attempt.status !== 'expired') {
+      // An extension moved the deadline; the new expiresAt is persisted for the next sweep
+      await attempt.save();
+      return;
+    }
+  } else {
+    attempt.status = 'expired';
+    attempt.timeRemaining = 0;
+  }
+
+  // Claim the attempt atomically so concurrent server instances never finalize it twice
+  const claimed = await ExamAttempt.findOneAndUpdate(
+    { _id: attempt._id, finalizedAt: null, isCompleted: false },
+    {
+      $set: {
+        status: 'expired',
+        timeRemaining: 0,
+        expiresAt: attempt.expiresAt,
+        finalizedAt: now
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  let submission = null;
+  try {
+    submission = exam ? await finalizeAttempt(claimed, exam) : null;
+  } catch (error) {
+    // Give the claim back so a later sweep submits the work after all
+    await ExamAttempt.updateOne({ _id: claimed._id, finalizedAt: now }, { $set: { finalizedAt: null } });
+    throw error;
+  }
+  publishExamEvent(claimed.examId, 'attempt.expired', {
+    attemptId: claimed._id,
+    studentId: claimed.studentId,
+    submitted: Boolean(submission)
+  });
+  if (submission) {
+    console.log(`⏰ Attempt ${claimed._id} expired, saved work submitted as ${submission.status}`);
+    publishExamEvent(claimed.examId, 'submission.created', {
+      submissionId: submission._id,
+      studentId: submission.studentId,
+      submittedAt: submission.submittedAt,
+      status: submission.status,
+      isLate: submission.isLate
+    });
+  }
+};
+
+// Expire every open attempt whose persisted deadline has passed, and finalize
+// attempts that were already marked expired by a request handler. Attempts the
+// sweep failed on before are retried after all the others, so they cannot
+// crowd the batch on every run.
+const sweepExpiredAttempts = async (now = new Date()) => {
+  const attempts = await ExamAttempt.find({
+    isCompleted: false,
+    finalizedAt: null,
+    $or: [
+      { status: 'started', expiresAt: { $lte: now } },
+      { status: 'started', expiresAt: null }, // legacy attempts without a stored deadline
+      { status: 'expired' }
+    ]
+  })
+    .sort({ sweepFailedAt: 1, expiresAt: 1 })
+    .limit(SWEEP_BATCH_SIZE);
+
+  for (const attempt of attempts) {
+    try {
+      await processAttempt(attempt, now);
+    } catch (error) {
+      console.error(`Attempt expiry error (${attempt._id}):`, error);
+      await ExamAttempt.updateOne({ _id: attempt._id }, { $set: { sweepFailedAt: now } })
+        .catch(updateError => console.error(`Attempt expiry bookkeeping error (${attempt._id}):`, updateError));
+    }
+  }
+
+  return attempts.length;
+};
+
+const runSweep = async () => {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    await sweepExpiredAttempts();
+  } catch (error) {
+    console.error('Attempt expiry sweep error:', error);
+  } finally {
+    sweeping = false;
+  }
+};
+
+// Deadlines live on the attempts in MongoDB, so a restarted server picks up
+// where it left off on its first sweep.
+const startAttemptExpiryJob = () => {
+  if (timer) return;
+  timer = setInterval(runSweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  runSweep();
+};
+
+const stopAttemptExpiryJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  sweepExpiredAttempts,
+  startAttemptExpiryJob,
+  stopAttemptExpiryJob
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const Exam = require('../models/Exam');
+const Submission = require('../models/Submission');
+const ExamAttempt = require('../models/ExamAttempt');
+const { listableBackends, deleteFile } = require('../storage');
+
+// Files younger than the grace period are never touched: an upload is stored
+// a moment before the exam or submission referring to it is saved.
+const GRACE_HOURS = parseFloat(process.env.ORPHAN_GRACE_HOURS) || 24;
+const SWEEP_INTERVAL_MS = parseInt(process.env.ORPHAN_SWEEP_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+// The background sweep only reports orphans unless deleting is switched on
+const DELETE_ORPHANS = process.env.ORPHAN_CLEANUP_DELETE === 'true';
+
+const TEMP_UPLOADS_DIR = 'uploads';
+const STORAGE_FOLDERS = ['exams', 'answers', 'watermarks'];
+
+let timer = null;
+let sweeping = false;
+
+// Legacy exam papers are referenced by their bare GridFS id
+const normalizeKey = key => (/^[a-f0-9]{24}$/i.test(key) ? `gridfs:exams/${key}` : key);
+
+const collectReferencedKeys = async () => {
+  const keyLists = await Promise.all([
+    Exam.distinct('examFileKey'),
+    Exam.distinct('examFileId'),
+    Submission.distinct('answerUrl'),
+    Submission.distinct('answerFiles.key'),
+    ExamAttempt.distinct('draftAnswerUrl'),
+    ExamAttempt.distinct('draftFiles.key'),
+    ExamAttempt.distinct('watermarkedFile.key')
+  ]);
+
+  return new Set(
+    keyLists.flat()
+      .filter(Boolean)
+      .map(key => normalizeKey(key.toString()))
+  );
+};
+
+// Multer temp files. Requests delete their own, so anything old here was left
+// behind by a crash or by versions that never cleaned up.
+const listTempUploads = async () => {
+  let names;
+  try {
+    names = await fs.promises.readdir(TEMP_UPLOADS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const name of names) {
+    const filePath = path.join(TEMP_UPLOADS_DIR, name);
+    const stats = await fs.promises.stat(filePath);
+    if (stats.isFile()) {
+      files.push({ key: filePath, location: 'temp-upload', size: stats.size, uploadedAt: stats.mtime });
+    }
+  }
+  return files;
+};
+
+// Stored files older than the grace period that no exam, submission, draft page
+// or watermarked copy refers to
+const findOrphanedFiles = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - GRACE_HOURS * 60 * 60 * 1000);
+  const referenced = await collectReferencedKeys();
+
+  const candidates = await listTempUploads();
+  for (const backend of listableBackends()) {
+    for (const folder of STORAGE_FOLDERS) {
+      const files = await backend.list(folder);
+      candidates.push(...files.map(file => ({ ...file, location: `${backend.name}:${folder}` })));
+    }
+  }
+
+  return candidates.filter(file =>
+    file.uploadedAt < cutoff
+    && !referenced.has(file.key)
+    // Very old submissions may point straight at a file under uploads/
+    && !referenced.has(`/${file.key}`));
+};
+
+// Report orphaned files; they are only deleted when called with dryRun: false
+const purgeOrphanedFiles = async ({ dryRun = true, now = new Date() } = {}) => {
+  const orphans = await findOrphanedFiles(now);
+  const report = {
+    scannedAt: now,
+    graceHours: GRACE_HOURS,
+    dryRun,
+    files: [],
+    totalBytes: 0,
+    deleted: 0,
+    failed: 0
+  };
+
+  for (const file of orphans) {
+    const entry = { key: file.key, location: file.location, size: file.size, uploadedAt: file.uploadedAt };
+    report.totalBytes += file.size || 0;
+
+    if (!dryRun) {
+      try {
+        if (file.location === 'temp-upload') {
+          await fs.promises.unlink(file.key);
+        } else {
+          await deleteFile(file.key);
+        }
+        entry.deleted = true;
+        report.deleted++;
+      } catch (error) {
+        console.error(`Orphaned file cleanup error (${file.key}):`, error);
+        entry.deleted = false;
+        entry.error = error.message;
+        report.failed++;
+      }
+    }
+    report.files.push(entry);
+  }
+
+  return report;
+};
+
+const runSweep = async () => {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    const report = await purgeOrphanedFiles({ dryRun: !DELETE_ORPHANS });
+    if (report.files.length > 0) {
+      console.log(DELETE_ORPHANS
+        ? `🧹 Removed ${report.deleted} orphaned files, ${report.failed} failed`
+        : `🧹 ${report.files.length} orphaned files (${report.totalBytes} bytes) found; set ORPHAN_CLEANUP_DELETE=true to remove them`);
+    }
+  } catch (error) {
+    console.error('Orphaned file sweep error:', error);
+  } finally {
+    sweeping = false;
+  }
+};
+
+const startOrphanedFileJob = () => {
+  if (timer) return;
+  timer = setInterval(runSweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  runSweep();
+};
+
+const stopOrphanedFileJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  findOrphanedFiles,
+  purgeOrphanedFiles,
+  startOrphanedFileJob,
+  stopOrphanedFileJob
+};
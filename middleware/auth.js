@@ -2,9 +2,11 @@ const jwt = require('jsonwebtoken');
 const Student = require('../models/Student');
 const Teacher = require('../models/Teacher');
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { verifyFileAccess } = require('../utils/fileSignatures');
 
-// Verify JWT token
-const verifyToken = (req, res, next) => {
+// Verify JWT token and that its session has not been revoked
+const verifyToken = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   
   if (!token) {
@@ -14,18 +16,90 @@ const verifyToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Invalid token.' 
+    });
+  }
+
+  try {
+    // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.id) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has expired or been revoked. Please log in again.' 
+      });
+    }
+
+    if (decoded.role !== 'admin') {
+      const UserModel = decoded.role === 'teacher' ? Teacher : Student;
+      const account = await UserModel.findById(decoded.id).select('suspendedAt');
+      if (account && account.suspendedAt) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Your account has been suspended.' 
+        });
+      }
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ 
+    res.status(500).json({ 
       success: false, 
-      message: 'Invalid token.' 
+      message: 'Server error during token verification.' 
+    });
+  }
+};
+
+// Authenticate a file request with either a JWT or a signed URL for req.params.id.
+// Signed URLs carry no session, so the account is checked for suspension here.
+const verifyTokenOrFileSignature = async (req, res, next) => {
+  if (!req.query.sig) return verifyToken(req, res, next);
+
+  const signer = verifyFileAccess(req.params.id, req.query);
+  if (!signer) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'File link is invalid or has expired.' 
+    });
+  }
+
+  try {
+    const UserModel = { teacher: Teacher, admin: Admin }[signer.role] || Student;
+    const account = await UserModel.findById(signer.id).select('suspendedAt approvalStatus');
+    const approved = signer.role === 'student' || account?.isApproved();
+    if (!account || account.suspendedAt || !approved) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied to this file.' 
+      });
+    }
+
+    req.user = { ...signer, viaSignedUrl: true };
+    next();
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during file link verification.' 
     });
   }
 };
 
+// EventSource cannot send headers, so live feeds also accept the access token
+// as ?token=. It is then checked exactly like a header token by verifyToken.
+const acceptQueryToken = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 // Check if user is teacher
 const isTeacher = async (req, res, next) => {
   try {
@@ -44,6 +118,21 @@ const isTeacher = async (req, res, next) => {
         message: 'Teacher not found.' 
       });
     }
+
+    if (teacher.suspendedAt) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Your account has been suspended.' 
+      });
+    }
+
+    // Invited or approved by an admin; legacy self-registered accounts wait for approval
+    if (!teacher.isApproved()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Your account is awaiting administrator approval.' 
+      });
+    }
     
     req.teacher = teacher;
     next();
@@ -73,6 +162,13 @@ const isStudent = async (req, res, next) => {
         message: 'Student not found.' 
       });
     }
+
+    if (student.suspendedAt) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Your account has been suspended.' 
+      });
+    }
     
     req.student = student;
     next();
@@ -102,6 +198,14 @@ const isAdmin = async (req, res, next) => {
         message: 'Admin not found.' 
       });
     }
+
+    // Invited or approved by an admin; legacy self-registered accounts wait for approval
+    if (!admin.isApproved()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Your account is awaiting administrator approval.' 
+      });
+    }
     
     req.admin = admin;
     next();
@@ -113,9 +217,23 @@ const isAdmin = async (req, res, next) => {
   }
 };
 
+// Check if user is teacher or admin, running the matching role check
+const isTeacherOrAdmin = (req, res, next) => {
+  if (req.user.role === 'teacher') return isTeacher(req, res, next);
+  if (req.user.role === 'admin') return isAdmin(req, res, next);
+
+  return res.status(403).json({ 
+    success: false, 
+    message: 'Access denied. Teacher or Admin role required.' 
+  });
+};
+
 module.exports = {
   verifyToken,
+  verifyTokenOrFileSignature,
+  acceptQueryToken,
   isTeacher,
   isStudent,
-  isAdmin
+  isAdmin,
+  isTeacherOrAdmin
 };
@@ -0,0 +1,29 @@
+const fs = require('fs');
+
+// Multer writes uploads to uploads/ before the route stores them with the file
+// storage backend. Remove those temp files once the response is over, whether
+// the request succeeded, failed validation or threw.
+const cleanupTempUploads = (req, res, next) => {
+  res.on('close', () => {
+    const files = [];
+    if (req.file) files.push(req.file);
+    if (Array.isArray(req.files)) {
+      files.push(...req.files);
+    } else if (req.files) {
+      Object.values(req.files).forEach(group => files.push(...group));
+    }
+
+    files
+      .filter(file => file.path)
+      .forEach(file => fs.unlink(file.path, (error) => {
+        if (error && error.code !== 'ENOENT') {
+          console.error(`Temp upload cleanup error (${file.path}):`, error);
+        }
+      }));
+  });
+  next();
+};
+
+module.exports = {
+  cleanupTempUploads
+};
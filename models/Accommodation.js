@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Extra time a teacher grants a student, either for one exam or (examId null)
+// for all of the teacher's exams. Per-exam entries take precedence.
+const accommodationSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student_user',
+    required: [true, 'Student ID is required']
+  },
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exams',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher_user',
+    required: [true, 'Created by field is required']
+  },
+  timeMultiplier: {
+    type: Number,
+    default: 1,
+    min: [1, 'Time multiplier must be at least 1'],
+    max: [5, 'Time multiplier cannot exceed 5']
+  },
+  extraMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Extra minutes cannot be negative'],
+    max: [600, 'Extra minutes cannot exceed 600']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per teacher, student and exam (or global)
+accommodationSchema.index({ createdBy: 1, studentId: 1, examId: 1 }, { unique: true });
+
+// The accommodation that applies to a student sitting an exam, if any
+accommodationSchema.statics.resolveFor = async function(studentId, exam) {
+  const accommodations = await this.find({
+    studentId,
+    createdBy: exam.createdBy,
+    examId: { $in: [exam._id, null] }
+  });
+
+  return accommodations.find(accommodation => accommodation.examId) || accommodations[0] || null;
+};
+
+module.exports = mongoose.model('Accommodations', accommodationSchema);
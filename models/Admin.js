@@ -20,6 +20,24 @@ const adminSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
+  },
+  emailVerified: {
+    type: Boolean // unset on accounts created before verification existed
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  approvalStatus: {
+    // accounts from before invitations existed have no status and must be approved by an
+    // admin, or by email after upgrading with `npm run approve-accounts`
+    type: String,
+    enum: ['pending', 'approved', 'rejected']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
   }
 }, {
   timestamps: true
@@ -38,6 +56,11 @@ adminSchema.pre('save', async function(next) {
   }
 });
 
+// Privileged accounts only get access once approved
+adminSchema.methods.isApproved = function() {
+  return this.approvalStatus === 'approved';
+};
+
 // Compare password method
 adminSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
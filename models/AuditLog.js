@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Record of an administrative action: who did what to which account, and when
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Actor ID is required']
+  },
+  actorRole: {
+    type: String,
+    enum: ['admin', 'teacher'],
+    default: 'admin'
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetRole: {
+    type: String,
+    enum: ['student', 'teacher', 'admin']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+// Append an entry for the acting user of a request
+auditLogSchema.statics.record = function(req, action, { targetRole, targetId, details } = {}) {
+  return this.create({
+    actorId: req.user.id,
+    actorRole: req.user.role,
+    action,
+    targetRole,
+    targetId,
+    details,
+    ip: req.ip
+  });
+};
+
+module.exports = mongoose.model('AuditLogs', auditLogSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use, expiring tokens mailed to users for password resets and email verification.
+// Only a hash is stored, so a leaked database does not expose usable links.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required']
+  },
+  role: {
+    type: String,
+    enum: ['student', 'teacher', 'admin'],
+    required: [true, 'Role is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: [true, 'Token purpose is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token and return the plain value to send; earlier unused tokens of
+// the same purpose are invalidated
+authTokenSchema.statics.issue = async function(userId, role, purpose, ttlMinutes) {
+  await this.updateMany({ userId, role, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    userId,
+    role,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  return token;
+};
+
+// Atomically mark a valid token as used; returns it, or null if unknown, used or expired
+authTokenSchema.statics.consume = function(token, purpose) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthTokens', authTokenSchema);
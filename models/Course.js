@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Readable invite codes without easily confused characters (0/O, 1/I)
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateInviteCode = (length = 8) => {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, byte => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]).join('');
+};
+
+const courseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Course name is required'],
+    trim: true,
+    maxlength: [100, 'Course name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher_user',
+    required: [true, 'Created by field is required']
+  },
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student_user'
+  }],
+  inviteCode: {
+    type: String,
+    unique: true,
+    default: () => generateInviteCode()
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+courseSchema.index({ createdBy: 1, createdAt: -1 });
+courseSchema.index({ students: 1 });
+
+courseSchema.methods.regenerateInviteCode = function() {
+  this.inviteCode = generateInviteCode();
+  return this.inviteCode;
+};
+
+courseSchema.methods.hasStudent = function(studentId) {
+  return this.students.some(id => id.toString() === studentId.toString());
+};
+
+// IDs of the active courses a student is enrolled in
+courseSchema.statics.idsForStudent = function(studentId) {
+  return this.find({ students: studentId, isActive: true }).distinct('_id');
+};
+
+module.exports = mongoose.model('Courses', courseSchema);
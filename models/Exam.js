@@ -1,5 +1,215 @@
 const mongoose = require('mongoose');
 
+const QUESTION_KINDS = ['multiple_choice', 'multi_select', 'true_false', 'numeric', 'short_text'];
+
+const questionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: QUESTION_KINDS,
+    required: [true, 'Question kind is required']
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+    maxlength: [2000, 'Prompt cannot be more than 2000 characters']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Question points are required'],
+    min: [0, 'Points cannot be negative']
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  correctOptions: [{
+    type: Number // indexes into options
+  }],
+  correctBoolean: {
+    type: Boolean
+  },
+  correctNumber: {
+    type: Number
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tolerance cannot be negative']
+  },
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Each kind needs its own answer key to be gradable
+questionSchema.pre('validate', function(next) {
+  const optionCount = this.options.length;
+  const validIndexes = this.correctOptions.every(index => Number.isInteger(index) && index >= 0 && index < optionCount);
+
+  switch (this.kind) {
+    case 'multiple_choice':
+      if (optionCount < 2) this.invalidate('options', 'Multiple choice questions need at least 2 options');
+      if (this.correctOptions.length !== 1 || !validIndexes) {
+        this.invalidate('correctOptions', 'Multiple choice questions need exactly one valid correct option');
+      }
+      break;
+    case 'multi_select':
+      if (optionCount < 2) this.invalidate('options', 'Multi-select questions need at least 2 options');
+      if (this.correctOptions.length < 1 || !validIndexes) {
+        this.invalidate('correctOptions', 'Multi-select questions need at least one valid correct option');
+      }
+      break;
+    case 'true_false':
+      if (typeof this.correctBoolean !== 'boolean') {
+        this.invalidate('correctBoolean', 'True/false questions need a correct answer');
+      }
+      break;
+    case 'numeric':
+      if (typeof this.correctNumber !== 'number' || Number.isNaN(this.correctNumber)) {
+        this.invalidate('correctNumber', 'Numeric questions need a correct number');
+      }
+      break;
+    case 'short_text':
+      if (this.acceptedAnswers.filter(Boolean).length < 1) {
+        this.invalidate('acceptedAnswers', 'Short text questions need at least one accepted answer');
+      }
+      break;
+  }
+  next();
+});
+
+const rubricLevelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Level label is required'],
+    trim: true,
+    maxlength: [100, 'Level label cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Level description cannot be more than 1000 characters']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Level points are required'],
+    min: [0, 'Points cannot be negative']
+  }
+});
+
+const rubricCriterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Criterion title is required'],
+    trim: true,
+    maxlength: [200, 'Criterion title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Criterion description cannot be more than 1000 characters']
+  },
+  levels: {
+    type: [rubricLevelSchema],
+    validate: {
+      validator: levels => levels.length > 0,
+      message: 'Each rubric criterion needs at least one level'
+    }
+  }
+});
+
+// A message from the teacher to everyone sitting the exam
+const announcementSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: [true, 'Announcement message is required'],
+    trim: true,
+    maxlength: [1000, 'Announcement cannot be more than 1000 characters']
+  },
+  extraMinutes: {
+    type: Number, // extra time granted to every attempt in progress along with the message
+    min: [0, 'Extra minutes cannot be negative'],
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher_user'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// What students and the live monitor see of an announcement
+announcementSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    message: this.message,
+    extraMinutes: this.extraMinutes,
+    createdAt: this.createdAt
+  };
+};
+
+// A student's question about the exam during an attempt, and the teacher's answer.
+// Private answers go to the asking student only; public ones to everyone on the exam.
+const clarificationSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student_user',
+    required: [true, 'Student ID is required']
+  },
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamAttempt'
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    maxlength: [1000, 'Question cannot be more than 1000 characters']
+  },
+  askedAt: {
+    type: Date,
+    default: Date.now
+  },
+  answer: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Answer cannot be more than 2000 characters']
+  },
+  answeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher_user'
+  },
+  answeredAt: Date,
+  visibility: {
+    type: String,
+    enum: ['private', 'public'],
+    default: 'private'
+  }
+});
+
+// What a student sees: their own questions, and public answers without who asked.
+// Without a studentId (broadcasts) `mine` is left out.
+clarificationSchema.methods.toStudentView = function(studentId) {
+  return {
+    id: this._id,
+    question: this.question,
+    askedAt: this.askedAt,
+    answer: this.answer || null,
+    answeredAt: this.answeredAt || null,
+    visibility: this.visibility,
+    mine: studentId ? this.studentId.toString() === String(studentId) : undefined
+  };
+};
+
 const examSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -7,9 +217,28 @@ const examSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Title cannot be more than 100 characters']
   },
+  format: {
+    type: String,
+    enum: ['file', 'questions'], // uploaded paper or structured, auto-graded questions
+    default: 'file'
+  },
   examFileId: {
-    type: mongoose.Schema.Types.ObjectId,
-    required: [true, 'Exam file ID is required']
+    type: mongoose.Schema.Types.ObjectId, // GridFS id of papers stored before examFileKey existed
+    required: [function() { return this.format === 'file' && !this.examFileKey; }, 'Exam file is required']
+  },
+  // Storage key of the paper (see storage/). Unset for papers uploaded straight to
+  // GridFS, whose key is examFileId itself.
+  examFileKey: {
+    type: String
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: function(questions) {
+        return this.format !== 'questions' || questions.length > 0;
+      },
+      message: 'Structured exams need at least one question'
+    }
   },
   duration: {
     type: Number,
@@ -22,16 +251,153 @@ const examSchema = new mongoose.Schema({
     ref: 'Teacher_user',
     required: [true, 'Created by field is required']
   },
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Courses'
+  }],
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  opensAt: {
+    type: Date,
+    default: null
+  },
+  closesAt: {
+    type: Date, // checked against opensAt and lateCutoffAt in pre('validate')
+    default: null
+  },
+  lateCutoffAt: {
+    type: Date, // late submissions are accepted until this time
+    default: null
+  },
+  rubric: {
+    type: [rubricCriterionSchema], // marking criteria for file-based exams
+    default: undefined
+  },
+  gradesReleasedAt: {
+    type: Date, // students only see scores and feedback once this is set
+    default: null
+  },
+  watermarkEnabled: {
+    type: Boolean, // stamp each student's identity onto the paper they download
+    default: false
+  },
+  proctoringThresholds: {
+    type: Map, // proctoring event type -> count at which an attempt is flagged
+    of: Number,
+    default: undefined
+  },
+  announcements: [announcementSchema],
+  clarifications: [clarificationSchema]
 }, {
   timestamps: true
 });
 
+// The availability window is checked as a whole, since changing one end can
+// invalidate the others without them being modified
+examSchema.pre('validate', function(next) {
+  if (this.closesAt && this.opensAt && this.closesAt <= this.opensAt) {
+    this.invalidate('closesAt', 'Closing time must be after opening time');
+  }
+  if (this.lateCutoffAt && (!this.closesAt || this.lateCutoffAt < this.closesAt)) {
+    this.invalidate('lateCutoffAt', 'Late cutoff requires a closing time and cannot be before it');
+  }
+  next();
+});
+
 // Index for better query performance
 examSchema.index({ createdBy: 1, createdAt: -1 });
 examSchema.index({ isActive: 1 });
+examSchema.index({ isActive: 1, opensAt: 1, closesAt: 1 });
+examSchema.index({ courses: 1 });
+
+// Where the exam sits in its availability window:
+// 'upcoming' before opensAt, 'open' until closesAt, 'late' until lateCutoffAt, then 'closed'
+examSchema.methods.getAvailability = function(now = new Date()) {
+  if (this.opensAt && now < this.opensAt) return 'upcoming';
+  if (!this.closesAt || now < this.closesAt) return 'open';
+  if (this.lateCutoffAt && now < this.lateCutoffAt) return 'late';
+  return 'closed';
+};
+
+// Storage key of the exam paper, for papers stored before and after examFileKey existed
+// (the oldest exams only have a Cloudinary examPdfUrl)
+examSchema.methods.getExamFileKey = function() {
+  if (this.examFileKey) return this.examFileKey;
+  return this.examFileId ? this.examFileId.toString() : (this.get('examPdfUrl') || null);
+};
+
+// Id of the paper under /api/exams/file/: the GridFS id or Cloudinary URL of
+// older papers, the exam's own id for papers with a storage key
+examSchema.methods.getFileRouteId = function() {
+  if (this.format === 'questions') return null;
+  if (this.examFileId) return this.examFileId.toString();
+  return this.get('examPdfUrl') || this._id.toString();
+};
+
+// Event counts that flag an attempt; a second session on the same attempt
+// is flagged straight away unless the teacher configured otherwise
+examSchema.methods.getProctoringThresholds = function() {
+  return this.proctoringThresholds
+    ? Object.fromEntries(this.proctoringThresholds)
+    : { concurrent_session: 1 };
+};
+
+// Clarifications a student may read: everything they asked plus published answers
+examSchema.methods.getClarificationsFor = function(studentId) {
+  return this.clarifications
+    .filter(clarification => clarification.studentId.toString() === String(studentId)
+      || (clarification.visibility === 'public' && clarification.answer))
+    .map(clarification => clarification.toStudentView(studentId));
+};
+
+// Sum of points over all structured questions
+examSchema.methods.getTotalPoints = function() {
+  return this.questions.reduce((sum, question) => sum + question.points, 0);
+};
+
+// Highest score reachable with the rubric: the best level of every criterion
+examSchema.methods.getRubricMaxScore = function() {
+  return (this.rubric || []).reduce((sum, criterion) =>
+    sum + Math.max(...criterion.levels.map(level => level.points)), 0);
+};
+
+// Questions as shown to students, without the answer key
+examSchema.methods.getPublicQuestions = function() {
+  return this.questions.map(question => ({
+    id: question._id,
+    kind: question.kind,
+    prompt: question.prompt,
+    points: question.points,
+    options: ['multiple_choice', 'multi_select'].includes(question.kind) ? question.options : undefined
+  }));
+};
+
+// Exams not assigned to any course are open to every student; otherwise the
+// student must be enrolled in one of the exam's courses
+examSchema.methods.isOpenToCourses = function(courseIds) {
+  if (!this.courses || this.courses.length === 0) return true;
+  const enrolled = new Set(courseIds.map(id => id.toString()));
+  return this.courses.some(courseId => enrolled.has(courseId.toString()));
+};
+
+// Query conditions matching exams that students can currently see and work on.
+// Pass the student's course IDs to restrict course-assigned exams to enrolled students.
+examSchema.statics.availableConditions = function(now = new Date(), courseIds) {
+  const conditions = {
+    isActive: true,
+    $and: [
+      { $or: [{ opensAt: null }, { opensAt: { $lte: now } }] },
+      { $or: [{ closesAt: null }, { closesAt: { $gt: now } }, { lateCutoffAt: { $gt: now } }] }
+    ]
+  };
+
+  if (courseIds) {
+    conditions.$and.push({ $or: [{ 'courses.0': { $exists: false } }, { courses: { $in: courseIds } }] });
+  }
+
+  return conditions;
+};
 
 module.exports = mongoose.model('Exams', examSchema);
@@ -1,4 +1,59 @@
 const mongoose = require('mongoose');
+const Accommodation = require('./Accommodation');
+
+const extensionSchema = new mongoose.Schema({
+  seconds: {
+    type: Number,
+    required: [true, 'Extension length is required'],
+    min: [1, 'Extension must be at least 1 second']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters']
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher_user'
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const savedAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  answeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One uploaded page (or multi-page file) of a draft answer
+const draftFileSchema = new mongoose.Schema({
+  key: {
+    type: String, // storage key, see storage/
+    required: [true, 'File key is required']
+  },
+  filename: {
+    type: String,
+    trim: true
+  },
+  contentType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const examAttemptSchema = new mongoose.Schema({
   studentId: {
@@ -19,13 +74,74 @@ const examAttemptSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  allottedSeconds: {
+    type: Number, // base time granted when the attempt was created
+    min: [0, 'Allotted time cannot be negative']
+  },
+  accommodation: {
+    // snapshot of the accommodation applied to allottedSeconds
+    accommodationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Accommodations'
+    },
+    timeMultiplier: Number,
+    extraMinutes: Number
+  },
+  extensions: [extensionSchema],
+  expiresAt: {
+    type: Date, // persisted deadline; drives the expiry sweep
+    default: null
+  },
+  draftAnswerUrl: {
+    type: String, // single-file draft saved before drafts had pages, see migrateLegacyDraft
+    trim: true,
+    default: null
+  },
+  draftFiles: [draftFileSchema], // answer pages in the order the student arranged them
+  draftSavedAt: {
+    type: Date,
+    default: null
+  },
+  proctoring: {
+    // the client last seen on this attempt, to spot changes and parallel sessions
+    lastIp: String,
+    lastUserAgent: String,
+    lastSessionId: String,
+    lastClientId: String,
+    lastSeenAt: Date,
+    counts: {
+      type: Map, // events recorded so far, by type
+      of: Number,
+      default: {}
+    },
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    flaggedAt: Date,
+    flagReasons: [String] // event types whose exam threshold was reached
+  },
+  watermarkedFile: {
+    key: String, // storage key of this student's watermarked copy of the paper
+    sourceKey: String, // the original it was made from, so a replaced paper is re-stamped
+    createdAt: Date
+  },
+  answers: [savedAnswerSchema], // responses to structured exam questions, saved as the student goes
+  finalizedAt: {
+    type: Date, // set once the expiry sweep has processed this attempt
+    default: null
+  },
+  sweepFailedAt: {
+    type: Date, // last time the expiry sweep failed on this attempt; retried after the others
+    default: null
+  },
   timeRemaining: {
-    type: Number, // in seconds
+    type: Number, // in seconds, last value computed by the server
     required: true
   },
   status: {
     type: String,
-    enum: ['started', 'paused', 'completed', 'expired'],
+    enum: ['started', 'completed', 'expired'],
     default: 'started'
   },
   isCompleted: {
@@ -39,5 +155,82 @@ const examAttemptSchema = new mongoose.Schema({
 // Index for better query performance
 examAttemptSchema.index({ studentId: 1, examId: 1 }, { unique: true });
 examAttemptSchema.index({ studentId: 1, status: 1 });
+examAttemptSchema.index({ status: 1, expiresAt: 1 });
+
+// Set the base time from the exam duration and the student's accommodation, if any.
+// Re-applied on every timer check so accommodation changes take effect mid-exam.
+examAttemptSchema.methods.applyAccommodation = function(exam, accommodation) {
+  const timeMultiplier = accommodation ? accommodation.timeMultiplier : 1;
+  const extraMinutes = accommodation ? accommodation.extraMinutes : 0;
+
+  this.allottedSeconds = Math.round(exam.duration * 60 * timeMultiplier) + extraMinutes * 60;
+  this.accommodation = accommodation
+    ? { accommodationId: accommodation._id, timeMultiplier, extraMinutes }
+    : undefined;
+};
+
+// Total time the student is allowed, including any granted extensions.
+// Attempts created before allottedSeconds existed fall back to the exam duration.
+examAttemptSchema.methods.getAllowedSeconds = function(exam) {
+  const base = this.allottedSeconds != null ? this.allottedSeconds : exam.duration * 60;
+  const extra = this.extensions.reduce((sum, extension) => sum + extension.seconds, 0);
+  return base + extra;
+};
+
+// Seconds since the attempt started
+examAttemptSchema.methods.getElapsedSeconds = function(now = new Date()) {
+  return Math.max(0, Math.floor((now - this.startedAt) / 1000));
+};
+
+// Authoritative remaining time, never trusted from the client
+examAttemptSchema.methods.getTimeRemaining = function(exam, now = new Date()) {
+  return Math.max(0, this.getAllowedSeconds(exam) - this.getElapsedSeconds(now));
+};
+
+// Wall-clock deadline for the attempt
+examAttemptSchema.methods.getExpiresAt = function(exam) {
+  return new Date(this.startedAt.getTime() + this.getAllowedSeconds(exam) * 1000);
+};
+
+// Recompute the cached timeRemaining and deadline, and expire the attempt once
+// time is up. Does not save; callers persist the document.
+examAttemptSchema.methods.syncTimer = function(exam, now = new Date()) {
+  this.timeRemaining = this.getTimeRemaining(exam, now);
+  this.expiresAt = this.getExpiresAt(exam);
+
+  if (this.timeRemaining <= 0 && !this.isCompleted) {
+    this.status = 'expired';
+  }
+
+  return this.timeRemaining;
+};
+
+// Give the attempt extra time. An attempt that ran out moments ago, but whose
+// work has not been submitted yet, is reopened by it. Does not save.
+examAttemptSchema.methods.grantExtension = async function(exam, { seconds, reason, grantedBy }, now = new Date()) {
+  this.extensions.push({ seconds, reason, grantedBy, grantedAt: now });
+  if (this.status === 'expired') {
+    this.status = 'started';
+  }
+  return this.refreshTimer(exam, now);
+};
+
+// Drafts saved before answers could have several pages are a single
+// draftAnswerUrl; turn one into the first page. Does not save.
+examAttemptSchema.methods.migrateLegacyDraft = function() {
+  if (!this.draftAnswerUrl) return;
+  if (this.draftFiles.length === 0) {
+    this.draftFiles.push({ key: this.draftAnswerUrl, uploadedAt: this.draftSavedAt || undefined });
+  }
+  this.draftAnswerUrl = null;
+};
+
+// Re-apply the student's current accommodation, then sync the timer.
+// Use this rather than syncTimer when the accommodation may have changed.
+examAttemptSchema.methods.refreshTimer = async function(exam, now = new Date()) {
+  const accommodation = await Accommodation.resolveFor(this.studentId, exam);
+  this.applyAccommodation(exam, accommodation);
+  return this.syncTimer(exam, now);
+};
 
 module.exports = mongoose.model('ExamAttempt', examAttemptSchema);
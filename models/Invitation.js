@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Admin-issued, single-use link that lets someone create a teacher (or admin) account
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['teacher', 'admin'],
+    default: 'teacher'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Invited by field is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ email: 1, role: 1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+invitationSchema.methods.getState = function(now = new Date()) {
+  if (this.usedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= now) return 'expired';
+  return 'pending';
+};
+
+// Create an invitation and return it with the plain token to put in the link.
+// Earlier pending invitations for the same email and role stop working.
+invitationSchema.statics.issue = async function({ email, role, invitedBy, ttlHours }) {
+  await this.updateMany(
+    { email: email.toLowerCase(), role, usedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await this.create({
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  });
+  return { invitation, token };
+};
+
+const pendingConditions = (token, now) =>
+  ({ tokenHash: hashToken(token), usedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+
+// The pending invitation for a token without using it up; null if unknown, used, revoked or expired
+invitationSchema.statics.findPending = function(token) {
+  return this.findOne(pendingConditions(token, new Date()));
+};
+
+// Atomically mark a pending invitation as used; null if unknown, used, revoked or expired
+invitationSchema.statics.consume = function(token) {
+  const now = new Date();
+  return this.findOneAndUpdate(pendingConditions(token, now), { usedAt: now }, { new: true });
+};
+
+// Make a consumed invitation usable again when its account could not be created
+invitationSchema.methods.release = function() {
+  return this.constructor.updateOne({ _id: this._id, acceptedUserId: null }, { usedAt: null });
+};
+
+module.exports = mongoose.model('Invitations', invitationSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Integrity signals reported by the exam client
+const CLIENT_EVENT_TYPES = [
+  'tab_hidden',
+  'tab_visible',
+  'fullscreen_exit',
+  'fullscreen_enter',
+  'window_blur',
+  'window_focus',
+  'copy',
+  'cut',
+  'paste'
+];
+
+// Signals the server derives itself by comparing requests on the same attempt
+const SERVER_EVENT_TYPES = [
+  'ip_change',
+  'user_agent_change',
+  'concurrent_session'
+];
+
+// How much each event adds to an attempt's suspicion score; "return" events
+// (tab visible again, focus regained) only give the timeline context
+const SUSPICION_WEIGHTS = {
+  tab_hidden: 1,
+  fullscreen_exit: 2,
+  window_blur: 1,
+  copy: 1,
+  cut: 1,
+  paste: 2,
+  ip_change: 3,
+  user_agent_change: 3,
+  concurrent_session: 5
+};
+
+// One entry on an attempt's proctoring timeline
+const proctoringEventSchema = new mongoose.Schema({
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamAttempt',
+    required: [true, 'Attempt ID is required']
+  },
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exams',
+    required: [true, 'Exam ID is required']
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student_user',
+    required: [true, 'Student ID is required']
+  },
+  type: {
+    type: String,
+    enum: [...CLIENT_EVENT_TYPES, ...SERVER_EVENT_TYPES],
+    required: [true, 'Event type is required']
+  },
+  source: {
+    type: String,
+    enum: ['client', 'server'],
+    required: true
+  },
+  occurredAt: {
+    type: Date, // when the client says it happened, clamped to the time received
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  sessionId: {
+    type: String // login session (JWT sid) the request came from
+  },
+  clientId: {
+    type: String // browser tab or device identifier chosen by the client
+  }
+}, {
+  timestamps: false
+});
+
+// Index for better query performance
+proctoringEventSchema.index({ attemptId: 1, occurredAt: 1 });
+proctoringEventSchema.index({ examId: 1, type: 1 });
+
+proctoringEventSchema.statics.CLIENT_EVENT_TYPES = CLIENT_EVENT_TYPES;
+proctoringEventSchema.statics.SERVER_EVENT_TYPES = SERVER_EVENT_TYPES;
+proctoringEventSchema.statics.SUSPICION_WEIGHTS = SUSPICION_WEIGHTS;
+
+module.exports = mongoose.model('ProctoringEvents', proctoringEventSchema);
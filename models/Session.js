@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A login on one device. Refresh tokens rotate within the session; presenting
+// a token that was already rotated out revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required']
+  },
+  role: {
+    type: String,
+    enum: ['student', 'teacher', 'admin'],
+    required: [true, 'Role is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  usedTokenHashes: [{
+    type: String
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected'],
+    default: null
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ userId: 1, role: 1, revokedAt: 1 });
+// Let MongoDB drop sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Sessions', sessionSchema);
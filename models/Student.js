@@ -20,6 +20,22 @@ const studentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
+  },
+  emailVerified: {
+    type: Boolean // unset on accounts created before verification existed
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedAt: {
+    type: Date, // suspended accounts cannot log in or use their tokens
+    default: null
+  },
+  suspendedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
   }
 }, {
   timestamps: true
@@ -30,7 +46,8 @@ studentSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
-    const salt = await bcrypt.genSalt(12);
+    // Imports may lower the cost for random temporary passwords, see routes/students.js
+    const salt = await bcrypt.genSalt(this.$locals.passwordRounds || 12);
     this.password = await bcrypt.hash(this.password, salt);
     next();
   } catch (error) {
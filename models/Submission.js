@@ -1,5 +1,77 @@
 const mongoose = require('mongoose');
 
+const gradedAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false
+  },
+  pointsAwarded: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Snapshot of the rubric level chosen for one criterion, so later rubric edits
+// do not change marks that were already given
+const rubricScoreSchema = new mongoose.Schema({
+  criterionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  criterionTitle: {
+    type: String,
+    trim: true
+  },
+  levelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  levelLabel: {
+    type: String,
+    trim: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  maxPoints: {
+    type: Number,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+// One page (or multi-page file) of an answer, as uploaded by the student
+const answerFileSchema = new mongoose.Schema({
+  key: {
+    type: String, // storage key, see storage/
+    required: [true, 'File key is required']
+  },
+  filename: {
+    type: String,
+    trim: true
+  },
+  contentType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const submissionSchema = new mongoose.Schema({
   studentId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -12,10 +84,45 @@ const submissionSchema = new mongoose.Schema({
     required: [true, 'Exam ID is required']
   },
   answerUrl: {
-    type: String,
-    required: [true, 'Answer URL is required'],
+    type: String, // the file teachers open: the only page, or all pages combined into one PDF
+    // Structured exams are answered question by question instead of with a file
+    required: [function() { return this.answers.length === 0; }, 'Answer URL is required'],
     trim: true
   },
+  answerFiles: [answerFileSchema], // pages in the student's order; empty for older single-file submissions
+  answers: [gradedAnswerSchema],
+  score: {
+    type: Number,
+    default: null
+  },
+  maxScore: {
+    type: Number,
+    default: null
+  },
+  autoGraded: {
+    type: Boolean,
+    default: false
+  },
+  rubricScores: [rubricScoreSchema],
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Feedback cannot be more than 5000 characters'],
+    default: ''
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher_user',
+    default: null
+  },
+  gradedAt: {
+    type: Date,
+    default: null
+  },
+  isLate: {
+    type: Boolean, // kept separately so grading does not lose the late flag
+    default: false
+  },
   submittedAt: {
     type: Date,
     default: Date.now
@@ -29,6 +136,23 @@ const submissionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+submissionSchema.pre('validate', function(next) {
+  if (this.score != null && this.maxScore != null && this.score > this.maxScore) {
+    this.invalidate('score', 'Score cannot be more than the maximum score');
+  }
+  next();
+});
+
+// Stored files making up the answer, in order: the combined PDF when the pages
+// were merged, otherwise every page (or the one answerUrl of older submissions)
+submissionSchema.methods.getAnswerFileKeys = function() {
+  const pageKeys = this.answerFiles.map(file => file.key);
+  if (pageKeys.length === 0 || !pageKeys.includes(this.answerUrl)) {
+    return this.answerUrl ? [this.answerUrl] : [];
+  }
+  return pageKeys;
+};
+
 // Index for better query performance
 submissionSchema.index({ studentId: 1, examId: 1 });
 submissionSchema.index({ examId: 1, submittedAt: -1 });
@@ -20,6 +20,33 @@ const teacherSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
+  },
+  emailVerified: {
+    type: Boolean // unset on accounts created before verification existed
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedAt: {
+    type: Date, // suspended accounts cannot log in or use their tokens
+    default: null
+  },
+  suspendedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  approvalStatus: {
+    // accounts from before invitations existed have no status and must be approved by an
+    // admin, or by email after upgrading with `npm run approve-accounts`
+    type: String,
+    enum: ['pending', 'approved', 'rejected']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
   }
 }, {
   timestamps: true
@@ -38,6 +65,11 @@ teacherSchema.pre('save', async function(next) {
   }
 });
 
+// Privileged accounts only get access once approved
+teacherSchema.methods.isApproved = function() {
+  return this.approvalStatus === 'approved';
+};
+
 // Compare password method
 teacherSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Accommodation = require('../models/Accommodation');
+const Exam = require('../models/Exam');
+const Student = require('../models/Student');
+const { verifyToken, isTeacher } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Values for a new accommodation when the request leaves them out
+const ACCOMMODATION_DEFAULTS = { timeMultiplier: 1, extraMinutes: 0 };
+
+const formatAccommodation = (accommodation) => ({
+  id: accommodation._id,
+  student: accommodation.studentId && accommodation.studentId.name
+    ? {
+        id: accommodation.studentId._id,
+        name: accommodation.studentId.name,
+        email: accommodation.studentId.email
+      }
+    : { id: accommodation.studentId },
+  examId: accommodation.examId,
+  timeMultiplier: accommodation.timeMultiplier,
+  extraMinutes: accommodation.extraMinutes,
+  note: accommodation.note,
+  updatedAt: accommodation.updatedAt
+});
+
+// @route   PUT /api/accommodations
+// @desc    Create or update a student's accommodation, for one exam or (no examId) all of the teacher's exams
+// @access  Private (Teacher)
+router.put('/', verifyToken, isTeacher, [
+  body('studentId').isMongoId().withMessage('Valid student ID is required'),
+  body('examId').optional({ values: 'null' }).isMongoId().withMessage('Exam ID must be valid'),
+  body('timeMultiplier').optional().isFloat({ min: 1, max: 5 }).withMessage('Time multiplier must be between 1 and 5'),
+  body('extraMinutes').optional().isInt({ min: 0, max: 600 }).withMessage('Extra minutes must be 0-600'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { studentId, examId = null } = req.body;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (examId) {
+      const exam = await Exam.findOne({ _id: examId, createdBy: req.user.id });
+      if (!exam) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exam not found or you do not have permission to manage it'
+        });
+      }
+    }
+
+    // Only the fields sent are changed; defaults apply to new entries alone
+    const update = {};
+    const defaults = {};
+    ['timeMultiplier', 'extraMinutes', 'note'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        update[field] = req.body[field];
+      } else if (field in ACCOMMODATION_DEFAULTS) {
+        defaults[field] = ACCOMMODATION_DEFAULTS[field];
+      }
+    });
+
+    const accommodation = await Accommodation.findOneAndUpdate(
+      { createdBy: req.user.id, studentId, examId },
+      { $set: update, $setOnInsert: defaults },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('studentId', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Accommodation saved successfully',
+      data: {
+        accommodation: formatAccommodation(accommodation)
+      }
+    });
+
+  } catch (error) {
+    console.error('Save accommodation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving accommodation'
+    });
+  }
+});
+
+// @route   GET /api/accommodations
+// @desc    List the teacher's accommodations, optionally filtered by ?examId= or ?studentId=
+// @access  Private (Teacher)
+router.get('/', verifyToken, isTeacher, [
+  query('examId').optional().isMongoId().withMessage('Exam ID must be valid'),
+  query('studentId').optional().isMongoId().withMessage('Student ID must be valid')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const query = { createdBy: req.user.id };
+    if (req.query.examId) query.examId = req.query.examId;
+    if (req.query.studentId) query.studentId = req.query.studentId;
+
+    const accommodations = await Accommodation.find(query)
+      .populate('studentId', 'name email')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        accommodations: accommodations.map(formatAccommodation)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get accommodations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching accommodations'
+    });
+  }
+});
+
+// @route   DELETE /api/accommodations/:id
+// @desc    Remove an accommodation (Teacher only, must be creator)
+// @access  Private (Teacher)
+router.delete('/:id', verifyToken, isTeacher, [
+  param('id').isMongoId().withMessage('Valid accommodation ID is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const accommodation = await Accommodation.findOneAndDelete({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!accommodation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Accommodation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Accommodation removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete accommodation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing accommodation'
+    });
+  }
+});
+
+module.exports = router;
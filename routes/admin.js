@@ -0,0 +1,512 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const Exam = require('../models/Exam');
+const Course = require('../models/Course');
+const Submission = require('../models/Submission');
+const ExamAttempt = require('../models/ExamAttempt');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { getUserModel } = require('../utils/userModels');
+const { revokeAllSessions } = require('../utils/tokens');
+const { sendPasswordResetEmail } = require('../utils/authEmails');
+const { purgeOrphanedFiles } = require('../jobs/orphanedFiles');
+
+const router = express.Router();
+
+// Every route here is admin only
+router.use(verifyToken, isAdmin);
+
+const MANAGED_ROLES = ['student', 'teacher'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatUser = (user, role) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role,
+  emailVerified: user.emailVerified !== false,
+  approvalStatus: role === 'teacher' ? (user.approvalStatus || 'pending') : undefined,
+  suspendedAt: user.suspendedAt,
+  suspendedReason: user.suspendedReason,
+  createdAt: user.createdAt
+});
+
+// Resolve :role/:id to a managed account, or send the error response
+const loadUser = async (req, res) => {
+  const { role, id } = req.params;
+  if (!MANAGED_ROLES.includes(role)) {
+    res.status(400).json({
+      success: false,
+      message: 'Role must be student or teacher'
+    });
+    return null;
+  }
+
+  const user = await getUserModel(role).findById(id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @route   GET /api/admin/users
+// @desc    List students and teachers with search and pagination
+//          (?role=student|teacher&search=&status=active|suspended&page=1&limit=20)
+// @access  Private (Admin)
+router.get('/users', [
+  query('role').optional().isIn(MANAGED_ROLES).withMessage('Role must be student or teacher'),
+  query('status').optional().isIn(['active', 'suspended']).withMessage('Status must be active or suspended'),
+  query('search').optional().isString().withMessage('Search must be a single text value'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = req.query.role || 'student';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = {};
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (req.query.status === 'suspended') {
+      filter.suspendedAt = { $ne: null };
+    } else if (req.query.status === 'active') {
+      filter.suspendedAt = null;
+    }
+
+    const UserModel = getUserModel(role);
+    const [users, total] = await Promise.all([
+      UserModel.find(filter)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      UserModel.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => formatUser(user, role)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:role/:id
+// @desc    View a student or teacher with activity counts
+// @access  Private (Admin)
+router.get('/users/:role/:id', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const { role } = req.params;
+    const stats = role === 'teacher'
+      ? {
+          exams: await Exam.countDocuments({ createdBy: user._id }),
+          courses: await Course.countDocuments({ createdBy: user._id })
+        }
+      : {
+          submissions: await Submission.countDocuments({ studentId: user._id }),
+          attempts: await ExamAttempt.countDocuments({ studentId: user._id }),
+          courses: await Course.countDocuments({ students: user._id })
+        };
+
+    res.json({
+      success: true,
+      data: {
+        user: formatUser(user, role),
+        stats
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:role/:id/suspend
+// @desc    Suspend an account and log it out everywhere
+// @access  Private (Admin)
+router.put('/users/:role/:id/suspend', [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (user.suspendedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    user.suspendedAt = new Date();
+    user.suspendedReason = req.body.reason;
+    await user.save();
+    await revokeAllSessions(user._id, req.params.role);
+
+    await AuditLog.record(req, 'user.suspend', {
+      targetRole: req.params.role,
+      targetId: user._id,
+      details: { reason: req.body.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended successfully',
+      data: {
+        user: formatUser(user, req.params.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while suspending user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:role/:id/reactivate
+// @desc    Lift a suspension
+// @access  Private (Admin)
+router.put('/users/:role/:id/reactivate', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (!user.suspendedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    user.suspendedAt = null;
+    user.suspendedReason = undefined;
+    await user.save();
+
+    await AuditLog.record(req, 'user.reactivate', {
+      targetRole: req.params.role,
+      targetId: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: {
+        user: formatUser(user, req.params.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reactivating user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:role/:id/role
+// @desc    Move an account between the student and teacher roles. The account
+//          keeps its id and password; it is refused while it still owns records
+//          that only make sense for its current role.
+// @access  Private (Admin)
+router.put('/users/:role/:id/role', [
+  body('role').isIn(MANAGED_ROLES).withMessage('Role must be student or teacher')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const fromRole = req.params.role;
+    const toRole = req.body.role;
+    if (fromRole === toRole) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already a ${toRole}`
+      });
+    }
+
+    const owned = fromRole === 'teacher'
+      ? await Exam.countDocuments({ createdBy: user._id }) + await Course.countDocuments({ createdBy: user._id })
+      : await Submission.countDocuments({ studentId: user._id }) + await ExamAttempt.countDocuments({ studentId: user._id });
+    if (owned > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${fromRole} still has exams, courses or submissions and cannot change role`
+      });
+    }
+
+    const TargetModel = getUserModel(toRole);
+    if (await TargetModel.exists({ email: user.email })) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${toRole} account already exists with this email`
+      });
+    }
+
+    // Insert the raw document so the password hash is not hashed again
+    const account = user.toObject();
+    delete account.approvalStatus;
+    delete account.invitedBy;
+    if (toRole === 'teacher') {
+      account.approvalStatus = 'approved';
+    }
+    await TargetModel.collection.insertOne(account);
+    await getUserModel(fromRole).deleteOne({ _id: user._id });
+    if (fromRole === 'student') {
+      await Course.updateMany({ students: user._id }, { $pull: { students: user._id } });
+    }
+    await revokeAllSessions(user._id, fromRole);
+
+    await AuditLog.record(req, 'user.change_role', {
+      targetRole: toRole,
+      targetId: user._id,
+      details: { from: fromRole, to: toRole }
+    });
+
+    res.json({
+      success: true,
+      message: `User is now a ${toRole}`,
+      data: {
+        user: formatUser(await TargetModel.findById(user._id), toRole)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:role/:id/reset-password
+// @desc    Reset a password: set the given one, or email the user a reset link.
+//          Logs the user out everywhere.
+// @access  Private (Admin)
+router.put('/users/:role/:id/reset-password', [
+  body('password').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const method = req.body.password ? 'set' : 'email';
+    if (method === 'set') {
+      user.password = req.body.password;
+      await user.save();
+    } else {
+      await sendPasswordResetEmail(user, req.params.role);
+    }
+    await revokeAllSessions(user._id, req.params.role);
+
+    // The new password itself is never logged
+    await AuditLog.record(req, 'user.reset_password', {
+      targetRole: req.params.role,
+      targetId: user._id,
+      details: { method }
+    });
+
+    res.json({
+      success: true,
+      message: method === 'set'
+        ? 'Password reset successfully'
+        : 'Password reset link sent to the user'
+    });
+
+  } catch (error) {
+    console.error('Admin reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    List recorded admin actions, newest first (?targetId=&actorId=&page=&limit=)
+// @access  Private (Admin)
+router.get('/audit-log', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  query('targetId').optional().isMongoId().withMessage('Target ID must be valid'),
+  query('actorId').optional().isMongoId().withMessage('Actor ID must be valid')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const filter = {};
+    if (req.query.targetId) filter.targetId = req.query.targetId;
+    if (req.query.actorId) filter.actorId = req.query.actorId;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(entry => ({
+          id: entry._id,
+          actorId: entry.actorId,
+          actorRole: entry.actorRole,
+          action: entry.action,
+          targetRole: entry.targetRole,
+          targetId: entry.targetId,
+          details: entry.details,
+          ip: entry.ip,
+          createdAt: entry.createdAt
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+// @route   GET /api/admin/orphaned-files
+// @desc    Dry-run report of stored files no exam or submission refers to
+// @access  Private (Admin)
+router.get('/orphaned-files', async (req, res) => {
+  try {
+    const report = await purgeOrphanedFiles({ dryRun: true });
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+
+  } catch (error) {
+    console.error('Orphaned files report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scanning for orphaned files'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/orphaned-files
+// @desc    Delete stored files no exam or submission refers to
+// @access  Private (Admin)
+router.delete('/orphaned-files', async (req, res) => {
+  try {
+    const report = await purgeOrphanedFiles({ dryRun: false });
+
+    await AuditLog.record(req, 'storage.purge_orphans', {
+      details: { deleted: report.deleted, failed: report.failed, totalBytes: report.totalBytes }
+    });
+
+    res.json({
+      success: true,
+      message: `Removed ${report.deleted} orphaned files`,
+      data: { report }
+    });
+
+  } catch (error) {
+    console.error('Orphaned files purge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing orphaned files'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,30 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const Student = require('../models/Student');
 const Teacher = require('../models/Teacher');
 const Admin = require('../models/Admin');
+const AuthToken = require('../models/AuthToken');
+const Invitation = require('../models/Invitation');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail, sendInvitationEmail } = require('../utils/authEmails');
+const { bootstrapAdmin } = require('../utils/adminBootstrap');
+const { getUserModel } = require('../utils/userModels');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { id: userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-};
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS, 10) || 72;
 
 // @route   POST /api/auth/signup
-// @desc    Register user (student, teacher, admin)
+// @desc    Register a student. Teachers and admins join through invitations.
 // @access  Public
 router.post('/signup', [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['student', 'teacher', 'admin']).withMessage('Role must be student, teacher, or admin')
+  body('role').optional().isIn(['student', 'teacher', 'admin']).withMessage('Role must be student, teacher, or admin')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -36,27 +37,18 @@ router.post('/signup', [
       });
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role = 'student' } = req.body;
 
-    // Check if user already exists
-    let UserModel;
-    switch (role) {
-      case 'student':
-        UserModel = Student;
-        break;
-      case 'teacher':
-        UserModel = Teacher;
-        break;
-      case 'admin':
-        UserModel = Admin;
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid role specified'
-        });
+    if (role !== 'student') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students can sign up. Teacher and admin accounts are created by invitation.'
+      });
     }
 
+    // Check if user already exists
+    const UserModel = Student;
+
     const existingUser = await UserModel.findOne({ email });
     if (existingUser) {
       return res.status(400).json({
@@ -65,29 +57,34 @@ router.post('/signup', [
       });
     }
 
-    // Create new user
+    // Create new user; they can log in once the email address is verified
     const user = new UserModel({
       name,
       email,
-      password
+      password,
+      emailVerified: false
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id, role);
+    try {
+      await sendVerificationEmail(user, role);
+    } catch (mailError) {
+      // The account exists; the user can ask for a new verification email
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your address before logging in.',
       data: {
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
-          role
-        },
-        token
+          role,
+          emailVerified: false
+        }
       }
     });
 
@@ -122,22 +119,12 @@ router.post('/login', [
     const { email, password, role } = req.body;
 
     // Find user by role
-    let UserModel;
-    switch (role) {
-      case 'student':
-        UserModel = Student;
-        break;
-      case 'teacher':
-        UserModel = Teacher;
-        break;
-      case 'admin':
-        UserModel = Admin;
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid role specified'
-        });
+    const UserModel = getUserModel(role);
+    if (!UserModel) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role specified'
+      });
     }
 
     const user = await UserModel.findOne({ email });
@@ -157,8 +144,30 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id, role);
+    // Accounts from before email verification existed have no flag and may log in
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in'
+      });
+    }
+
+    if (user.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended.'
+      });
+    }
+
+    if (role !== 'student' && !user.isApproved()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is awaiting administrator approval.'
+      });
+    }
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await createSession(user._id, role, req);
 
     res.json({
       success: true,
@@ -170,7 +179,8 @@ router.post('/login', [
           email: user.email,
           role
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -183,4 +193,701 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/bootstrap-admin
+// @desc    Create the first admin using the ADMIN_SETUP_SECRET environment secret.
+//          Disabled once an approved admin exists.
+// @access  Public (setup secret)
+router.post('/bootstrap-admin', [
+  body('setupSecret').isString().notEmpty().withMessage('Setup secret is required'),
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const expected = Buffer.from(process.env.ADMIN_SETUP_SECRET || '');
+    const given = Buffer.from(req.body.setupSecret);
+    if (expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid setup secret'
+      });
+    }
+
+    const { name, email, password } = req.body;
+    const admin = await bootstrapAdmin({ name, email, password });
+    const { token, refreshToken } = await createSession(admin._id, 'admin', req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Administrator created successfully',
+      data: {
+        user: {
+          id: admin._id,
+          name: admin.name,
+          email: admin.email,
+          role: 'admin'
+        },
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Bootstrap admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during admin setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/invitations
+// @desc    Invite a teacher (or admin) by email with a single-use, expiring link
+// @access  Private (Admin)
+router.post('/invitations', verifyToken, isAdmin, [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('role').optional().isIn(['teacher', 'admin']).withMessage('Role must be teacher or admin')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role = 'teacher' } = req.body;
+
+    const existingUser = await getUserModel(role).findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const { invitation, token } = await Invitation.issue({
+      email,
+      role,
+      invitedBy: req.user.id,
+      ttlHours: INVITATION_TTL_HOURS
+    });
+
+    await sendInvitationEmail(invitation, token, req.admin, INVITATION_TTL_HOURS);
+
+    await AuditLog.record(req, 'invitation.create', {
+      targetRole: role,
+      details: { invitationId: invitation._id, email }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        invitation: {
+          id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+          state: invitation.getState()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invitation'
+    });
+  }
+});
+
+// @route   GET /api/auth/invitations
+// @desc    List invitations
+// @access  Private (Admin)
+router.get('/invitations', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(invitation => ({
+          id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          expiresAt: invitation.expiresAt,
+          usedAt: invitation.usedAt,
+          state: invitation.getState(),
+          createdAt: invitation.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (Admin)
+router.delete('/invitations/:id', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, usedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    await AuditLog.record(req, 'invitation.revoke', {
+      targetRole: invitation.role,
+      details: { invitationId: invitation._id, email: invitation.email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation'
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-invitation
+// @desc    Create a teacher or admin account from an invitation link
+// @access  Public (invitation token)
+router.post('/accept-invitation', [
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pending = await Invitation.findPending(req.body.token);
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation link is invalid, expired or already used'
+      });
+    }
+
+    const UserModel = getUserModel(pending.role);
+    const existingUser = await UserModel.findOne({ email: pending.email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    // The invitation email proves the address and stands in for admin approval
+    const user = new UserModel({
+      name: req.body.name,
+      email: pending.email,
+      password: req.body.password,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      approvalStatus: 'approved',
+      invitedBy: pending.invitedBy
+    });
+    await user.validate();
+
+    // Only use up the invitation once the account is known to be valid, and give
+    // it back if saving still fails, so the invitee can try again
+    const invitation = await Invitation.consume(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation link is invalid, expired or already used'
+      });
+    }
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      await invitation.release();
+      if (saveError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+      throw saveError;
+    }
+
+    invitation.acceptedUserId = user._id;
+    await invitation.save();
+
+    const { token, refreshToken } = await createSession(user._id, invitation.role, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: invitation.role
+        },
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+// @route   GET /api/auth/approvals
+// @desc    List teacher and admin accounts that are not approved yet
+// @access  Private (Admin)
+router.get('/approvals', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const query = { approvalStatus: { $ne: 'approved' } };
+    const [teachers, admins] = await Promise.all([
+      Teacher.find(query).select('name email approvalStatus createdAt'),
+      Admin.find(query).select('name email approvalStatus createdAt')
+    ]);
+
+    const toAccount = role => user => ({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role,
+      approvalStatus: user.approvalStatus || 'pending',
+      createdAt: user.createdAt
+    });
+
+    res.json({
+      success: true,
+      data: {
+        accounts: [...teachers.map(toAccount('teacher')), ...admins.map(toAccount('admin'))]
+      }
+    });
+
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching accounts awaiting approval'
+    });
+  }
+});
+
+// @route   PUT /api/auth/approvals/:role/:id
+// @desc    Approve or reject a teacher or admin account
+// @access  Private (Admin)
+router.put('/approvals/:role/:id', verifyToken, isAdmin, [
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role, id } = req.params;
+    if (!['teacher', 'admin'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be teacher or admin'
+      });
+    }
+
+    if (role === 'admin' && id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own approval'
+      });
+    }
+
+    const user = await getUserModel(role).findByIdAndUpdate(
+      id,
+      { approvalStatus: req.body.status },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.body.status === 'rejected') {
+      await revokeAllSessions(user._id, role);
+    }
+
+    await AuditLog.record(req, `user.${req.body.status === 'approved' ? 'approve' : 'reject'}`, {
+      targetRole: role,
+      targetId: user._id
+    });
+
+    res.json({
+      success: true,
+      message: `Account ${req.body.status} successfully`,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role,
+          approvalStatus: user.approvalStatus
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating approval'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const authToken = await AuthToken.consume(req.body.token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const UserModel = getUserModel(authToken.role);
+    const user = await UserModel.findByIdAndUpdate(
+      authToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully. You can now log in.'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('role').isIn(['student', 'teacher', 'admin']).withMessage('Role must be student, teacher, or admin')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role } = req.body;
+    const user = await getUserModel(role).findOne({ email });
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(user, role);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists and is not verified yet, a verification email has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('role').isIn(['student', 'teacher', 'admin']).withMessage('Role must be student, teacher, or admin')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role } = req.body;
+    const user = await getUserModel(role).findOne({ email });
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    if (user) {
+      await sendPasswordResetEmail(user, role);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email; logs out all devices
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const authToken = await AuthToken.consume(req.body.token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await getUserModel(authToken.role).findById(authToken.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.password = req.body.password;
+    // Receiving the reset email proves the address belongs to the user
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, authToken.role);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current device by revoking its session
+// @access  Private
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out everywhere by revoking every session of the user
+// @access  Private
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.id, req.user.role);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,321 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const { verifyToken, isTeacher, isStudent } = require('../middleware/auth');
+
+const router = express.Router();
+
+const formatCourse = (course, { includeStudents = false, includeInviteCode = false } = {}) => ({
+  id: course._id,
+  name: course.name,
+  description: course.description,
+  createdBy: course.createdBy,
+  studentCount: course.students.length,
+  students: includeStudents
+    ? course.students.map(student => ({ id: student._id, name: student.name, email: student.email }))
+    : undefined,
+  inviteCode: includeInviteCode ? course.inviteCode : undefined,
+  isActive: course.isActive,
+  createdAt: course.createdAt
+});
+
+// @route   POST /api/courses
+// @desc    Create a course (Teacher only)
+// @access  Private (Teacher)
+router.post('/', verifyToken, isTeacher, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Course name must be 1-100 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+
+    const course = new Course({
+      name,
+      description,
+      createdBy: req.user.id
+    });
+
+    await course.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      data: {
+        course: formatCourse(course, { includeInviteCode: true })
+      }
+    });
+
+  } catch (error) {
+    console.error('Create course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during course creation'
+    });
+  }
+});
+
+// @route   GET /api/courses
+// @desc    Get courses (teachers see the courses they own, students the ones they are enrolled in)
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    let query;
+    if (req.user.role === 'teacher') {
+      query = { createdBy: req.user.id };
+    } else if (req.user.role === 'student') {
+      query = { students: req.user.id, isActive: true };
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Teacher or Student role required.'
+      });
+    }
+
+    const courses = await Course.find(query).sort({ createdAt: -1 });
+    const isTeacherView = req.user.role === 'teacher';
+
+    res.json({
+      success: true,
+      data: {
+        courses: courses.map(course => formatCourse(course, { includeInviteCode: isTeacherView }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching courses'
+    });
+  }
+});
+
+// @route   POST /api/courses/join
+// @desc    Enroll in a course with its invite code
+// @access  Private (Student)
+router.post('/join', verifyToken, isStudent, [
+  body('inviteCode').trim().notEmpty().withMessage('Invite code is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findOne({
+      inviteCode: req.body.inviteCode.toUpperCase(),
+      isActive: true
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active course found for this invite code'
+      });
+    }
+
+    if (course.hasStudent(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already enrolled in this course'
+      });
+    }
+
+    await Course.updateOne({ _id: course._id }, { $addToSet: { students: req.user.id } });
+
+    res.json({
+      success: true,
+      message: 'Enrolled successfully',
+      data: {
+        course: {
+          id: course._id,
+          name: course.name,
+          description: course.description
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Join course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while joining course'
+    });
+  }
+});
+
+// @route   GET /api/courses/:id
+// @desc    Get a course (owning teacher sees the roster and invite code)
+// @access  Private (Teacher owner or enrolled Student)
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).populate('students', 'name email');
+
+    const isOwner = course && req.user.role === 'teacher' && course.createdBy.toString() === req.user.id;
+    const isEnrolled = course && req.user.role === 'student' && course.hasStudent(req.user.id);
+
+    if (!course || (!isOwner && !isEnrolled)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or you do not have access to it'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        course: formatCourse(course, { includeStudents: isOwner, includeInviteCode: isOwner })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching course'
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/students
+// @desc    Enroll students by email (Teacher only, must be creator)
+// @access  Private (Teacher)
+router.post('/:id/students', verifyToken, isTeacher, [
+  body('emails').isArray({ min: 1 }).withMessage('At least one student email is required'),
+  body('emails.*').isEmail().normalizeEmail().withMessage('Please enter valid emails')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or you do not have permission to manage it'
+      });
+    }
+
+    const { emails } = req.body;
+    const students = await Student.find({ email: { $in: emails } }).select('name email');
+    const foundEmails = new Set(students.map(student => student.email));
+
+    await Course.updateOne(
+      { _id: course._id },
+      { $addToSet: { students: { $each: students.map(student => student._id) } } }
+    );
+
+    res.json({
+      success: true,
+      message: `${students.length} student(s) enrolled`,
+      data: {
+        enrolled: students.map(student => ({ id: student._id, name: student.name, email: student.email })),
+        notFound: emails.filter(email => !foundEmails.has(email))
+      }
+    });
+
+  } catch (error) {
+    console.error('Enroll students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enrolling students'
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id/students/:studentId
+// @desc    Remove a student from a course (Teacher only, must be creator)
+// @access  Private (Teacher)
+router.delete('/:id/students/:studentId', verifyToken, isTeacher, async (req, res) => {
+  try {
+    const result = await Course.updateOne(
+      { _id: req.params.id, createdBy: req.user.id },
+      { $pull: { students: req.params.studentId } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or you do not have permission to manage it'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.modifiedCount > 0 ? 'Student removed from course' : 'Student was not enrolled in this course'
+    });
+
+  } catch (error) {
+    console.error('Remove student error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing student'
+    });
+  }
+});
+
+// @route   PUT /api/courses/:id/invite-code
+// @desc    Issue a new invite code; the old one stops working (Teacher only, must be creator)
+// @access  Private (Teacher)
+router.put('/:id/invite-code', verifyToken, isTeacher, async (req, res) => {
+  try {
+    const course = await Course.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or you do not have permission to manage it'
+      });
+    }
+
+    course.regenerateInviteCode();
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Invite code regenerated',
+      data: {
+        inviteCode: course.inviteCode
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate invite code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating invite code'
+    });
+  }
+});
+
+module.exports = router;
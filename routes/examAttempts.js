@@ -3,10 +3,86 @@ const { body, validationResult } = require('express-validator');
 const ExamAttempt = require('../models/ExamAttempt');
 const Exam = require('../models/Exam');
 const Submission = require('../models/Submission');
-const { verifyToken, isStudent } = require('../middleware/auth');
+const Course = require('../models/Course');
+const ProctoringEvent = require('../models/ProctoringEvent');
+const Student = require('../models/Student');
+const { verifyToken, acceptQueryToken, isStudent, isTeacher } = require('../middleware/auth');
+const { putFile, statFile, deleteFile } = require('../storage');
+const { uploadAnswer } = require('../config/answerUpload');
+const { gradeAnswers } = require('../utils/grading');
+const { MAX_ANSWER_PAGES, buildSubmissionFiles } = require('../utils/answerPages');
+const { sendStoredFile } = require('../utils/fileResponse');
+const { recordProctoringEvents, summarizeProctoring } = require('../utils/proctoring');
+const { subscribe, publishExamEvent, publishAttemptEvent } = require('../utils/liveEvents');
+const { openEventStream } = require('../utils/sse');
+const { isSessionActive } = require('../utils/tokens');
 
 const router = express.Router();
 
+// How often students receive the authoritative remaining time
+const ATTEMPT_TICK_MS = parseInt(process.env.ATTEMPT_TICK_MS, 10) || 15 * 1000;
+
+// Unanswered clarification requests a student may have open at once
+const MAX_OPEN_CLARIFICATIONS = 5;
+
+// Draft pages as shown to the student
+const formatDraftFiles = attempt => attempt.draftFiles.map(file => ({
+  id: file._id,
+  filename: file.filename,
+  contentType: file.contentType,
+  size: file.size,
+  uploadedAt: file.uploadedAt
+}));
+
+// The student's attempt and its exam, if its draft answer may still be changed.
+// Otherwise sends the error response and returns null. A legacy single-file draft
+// is turned into the first page, unsaved.
+const findOpenDraftAttempt = async (req, res, now) => {
+  const attempt = await ExamAttempt.findOne({
+    _id: req.params.attemptId,
+    studentId: req.user.id
+  });
+
+  if (!attempt) {
+    res.status(404).json({
+      success: false,
+      message: 'Exam attempt not found'
+    });
+    return null;
+  }
+
+  const exam = await Exam.findById(attempt.examId);
+  if (!exam) {
+    res.status(404).json({
+      success: false,
+      message: 'Exam not found'
+    });
+    return null;
+  }
+
+  if (exam.format === 'questions') {
+    res.status(400).json({
+      success: false,
+      message: 'This exam is answered question by question, not with a file'
+    });
+    return null;
+  }
+
+  // A running attempt keeps its own deadline even after the exam closes
+  await attempt.refreshTimer(exam, now);
+  if (attempt.status === 'expired' || attempt.isCompleted) {
+    await attempt.save();
+    res.status(400).json({
+      success: false,
+      message: 'This exam attempt is no longer open for answers'
+    });
+    return null;
+  }
+
+  attempt.migrateLegacyDraft();
+  return { attempt, exam };
+};
+
 // @route   POST /api/exam-attempts/start
 // @desc    Start an exam attempt
 // @access  Private (Student)
@@ -36,6 +112,29 @@ router.post('/start', verifyToken, isStudent, [
       });
     }
 
+    if (!exam.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'This exam is not currently active'
+      });
+    }
+
+    const courseIds = await Course.idsForStudent(studentId);
+    if (!exam.isOpenToCourses(courseIds)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in a course this exam is assigned to'
+      });
+    }
+
+    const availability = exam.getAvailability();
+    if (availability === 'upcoming') {
+      return res.status(403).json({
+        success: false,
+        message: 'This exam has not opened yet'
+      });
+    }
+
     // Check if student already submitted for this exam
     const existingSubmission = await Submission.findOne({
       studentId: studentId,
@@ -63,19 +162,54 @@ router.post('/start', verifyToken, isStudent, [
         });
       }
       
+      // Time is tracked by the server, so a resumed attempt cannot outlive its deadline
+      await attempt.refreshTimer(exam);
+      if (attempt.status === 'expired') {
+        await attempt.save();
+        return res.status(400).json({
+          success: false,
+          message: 'Time for this exam attempt has expired.'
+        });
+      }
+
       // Resume existing attempt
       attempt.lastAccessedAt = new Date();
       attempt.status = 'started';
       await attempt.save();
+
+      publishExamEvent(exam._id, 'attempt.resumed', {
+        attemptId: attempt._id,
+        studentId,
+        status: attempt.status,
+        timeRemaining: attempt.timeRemaining
+      });
     } else {
-      // Create new attempt
+      // Attempts already in progress may continue past closesAt, new ones may not
+      if (availability !== 'open') {
+        return res.status(403).json({
+          success: false,
+          message: 'This exam is closed'
+        });
+      }
+
+      // Create new attempt; the allotted time includes any accommodation
       attempt = new ExamAttempt({
         studentId: studentId,
         examId: examId,
-        timeRemaining: exam.duration * 60, // Convert minutes to seconds
         status: 'started'
       });
+      await attempt.refreshTimer(exam);
       await attempt.save();
+
+      const student = await Student.findById(studentId).select('name email');
+      publishExamEvent(exam._id, 'attempt.started', {
+        attemptId: attempt._id,
+        studentId,
+        student: student && { name: student.name, email: student.email },
+        status: attempt.status,
+        timeRemaining: attempt.timeRemaining,
+        startedAt: attempt.startedAt
+      });
     }
 
     res.json({
@@ -123,14 +257,18 @@ router.get('/:examId', verifyToken, isStudent, async (req, res) => {
       });
     }
 
-    // Check if attempt has expired
-    const now = new Date();
-    const timeElapsed = Math.floor((now - attempt.startedAt) / 1000);
-    const remainingTime = Math.max(0, attempt.timeRemaining - timeElapsed);
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
 
-    if (remainingTime <= 0 && attempt.status !== 'completed') {
-      attempt.status = 'expired';
-      attempt.timeRemaining = 0;
+    // Recompute remaining time from the attempt's own clock
+    attempt.migrateLegacyDraft();
+    await attempt.refreshTimer(exam);
+    if (attempt.isModified()) {
       await attempt.save();
     }
 
@@ -140,11 +278,13 @@ router.get('/:examId', verifyToken, isStudent, async (req, res) => {
         attempt: {
           id: attempt._id,
           examId: attempt.examId,
-          timeRemaining: remainingTime,
+          timeRemaining: attempt.timeRemaining,
           status: attempt.status,
           startedAt: attempt.startedAt,
           lastAccessedAt: attempt.lastAccessedAt,
-          isCompleted: attempt.isCompleted
+          isCompleted: attempt.isCompleted,
+          draftFiles: formatDraftFiles(attempt),
+          draftSavedAt: attempt.draftSavedAt
         }
       }
     });
@@ -159,14 +299,12 @@ router.get('/:examId', verifyToken, isStudent, async (req, res) => {
 });
 
 // @route   PUT /api/exam-attempts/:attemptId/time
-// @desc    Update remaining time for an attempt
+// @desc    Heartbeat: report the server-computed remaining time for an attempt.
+//          Any timeRemaining sent by the client is ignored.
 // @access  Private (Student)
-router.put('/:attemptId/time', verifyToken, isStudent, [
-  body('timeRemaining').isNumeric().withMessage('Valid time remaining is required')
-], async (req, res) => {
+router.put('/:attemptId/time', verifyToken, isStudent, async (req, res) => {
   try {
     const { attemptId } = req.params;
-    const { timeRemaining } = req.body;
     const studentId = req.user.id;
 
     const attempt = await ExamAttempt.findOne({
@@ -181,13 +319,21 @@ router.put('/:attemptId/time', verifyToken, isStudent, [
       });
     }
 
-    attempt.timeRemaining = Math.max(0, timeRemaining);
-    attempt.lastAccessedAt = new Date();
-    
-    if (attempt.timeRemaining <= 0) {
-      attempt.status = 'expired';
+    const exam = await Exam.findById(attempt.examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const now = new Date();
+    await attempt.refreshTimer(exam, now);
+    attempt.lastAccessedAt = now;
+    // Heartbeats double as the server's view of where the attempt is being taken from
+    if (!attempt.isCompleted) {
+      await recordProctoringEvents(attempt, exam, req, [], now);
     }
-    
     await attempt.save();
 
     res.json({
@@ -196,7 +342,8 @@ router.put('/:attemptId/time', verifyToken, isStudent, [
         attempt: {
           id: attempt._id,
           timeRemaining: attempt.timeRemaining,
-          status: attempt.status
+          status: attempt.status,
+          serverTime: now
         }
       }
     });
@@ -210,17 +357,31 @@ router.put('/:attemptId/time', verifyToken, isStudent, [
   }
 });
 
-// @route   PUT /api/exam-attempts/:attemptId/complete
-// @desc    Mark exam attempt as completed
+// @route   POST /api/exam-attempts/:attemptId/events
+// @desc    Report integrity events seen by the exam client (tab hidden, fullscreen exit, copy/paste...)
 // @access  Private (Student)
-router.put('/:attemptId/complete', verifyToken, isStudent, async (req, res) => {
+router.post('/:attemptId/events', verifyToken, isStudent, [
+  body('events').isArray({ min: 1, max: 50 }).withMessage('Send 1-50 events at a time'),
+  body('events.*.type').isIn(ProctoringEvent.CLIENT_EVENT_TYPES).withMessage('Unknown event type'),
+  body('events.*.occurredAt').optional().isISO8601().withMessage('Event time must be a valid date'),
+  body('events.*.details').optional().isObject().withMessage('Event details must be an object')
+    .custom(details => JSON.stringify(details).length <= 1000).withMessage('Event details are too large'),
+  body('clientId').optional().isString().isLength({ max: 100 }).withMessage('Client ID cannot be more than 100 characters')
+], async (req, res) => {
   try {
-    const { attemptId } = req.params;
-    const studentId = req.user.id;
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
     const attempt = await ExamAttempt.findOne({
-      _id: attemptId,
-      studentId: studentId
+      _id: req.params.attemptId,
+      studentId: req.user.id
     });
 
     if (!attempt) {
@@ -230,10 +391,1014 @@ router.put('/:attemptId/complete', verifyToken, isStudent, async (req, res) => {
       });
     }
 
-    attempt.status = 'completed';
-    attempt.isCompleted = true;
+    if (attempt.isCompleted || attempt.finalizedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam attempt is already finished'
+      });
+    }
+
+    const exam = await Exam.findById(attempt.examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const now = new Date();
+    const recorded = await recordProctoringEvents(attempt, exam, req, req.body.events, now);
+    attempt.lastAccessedAt = now;
     await attempt.save();
 
+    res.status(201).json({
+      success: true,
+      message: 'Events recorded',
+      data: {
+        recorded: recorded.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Record proctoring events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording proctoring events'
+    });
+  }
+});
+
+// @route   GET /api/exam-attempts/:attemptId/proctoring
+// @desc    Proctoring timeline and suspicion summary of an attempt (Teacher only, must own the exam)
+// @access  Private (Teacher)
+router.get('/:attemptId/proctoring', verifyToken, isTeacher, async (req, res) => {
+  try {
+    const attempt = await ExamAttempt.findById(req.params.attemptId).populate('studentId', 'name email');
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found'
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: attempt.examId,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found or you do not have permission to view it'
+      });
+    }
+
+    const events = await ProctoringEvent.find({ attemptId: attempt._id }).sort({ occurredAt: 1, receivedAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        attempt: {
+          id: attempt._id,
+          student: {
+            id: attempt.studentId._id,
+            name: attempt.studentId.name,
+            email: attempt.studentId.email
+          },
+          startedAt: attempt.startedAt,
+          status: attempt.status
+        },
+        thresholds: exam.getProctoringThresholds(),
+        summary: summarizeProctoring(attempt),
+        timeline: events.map(event => ({
+          id: event._id,
+          type: event.type,
+          source: event.source,
+          occurredAt: event.occurredAt,
+          receivedAt: event.receivedAt,
+          details: event.details,
+          ip: event.ip,
+          userAgent: event.userAgent,
+          sessionId: event.sessionId,
+          clientId: event.clientId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get proctoring timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching proctoring timeline'
+    });
+  }
+});
+
+// @route   GET /api/exam-attempts/:attemptId/live
+// @desc    Server-Sent Events feed for a student: remaining time ticks, extensions and
+//          announcements. Pass the access token as ?token=; reconnecting clients send
+//          Last-Event-ID (or ?lastEventId=) to replay what they missed.
+// @access  Private (Student)
+router.get('/:attemptId/live', acceptQueryToken, verifyToken, isStudent, async (req, res) => {
+  try {
+    const attempt = await ExamAttempt.findOne({
+      _id: req.params.attemptId,
+      studentId: req.user.id
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found'
+      });
+    }
+
+    if (attempt.isCompleted || attempt.finalizedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam attempt is already finished'
+      });
+    }
+
+    const exam = await Exam.findById(attempt.examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const describeTime = (current, now) => ({
+      serverTime: now,
+      timeRemaining: current.isCompleted ? 0 : current.getTimeRemaining(exam, now),
+      expiresAt: current.expiresAt,
+      status: current.status
+    });
+
+    let subscription;
+    let ticker;
+    const stream = openEventStream(req, res, () => {
+      clearInterval(ticker);
+      if (subscription) subscription.unsubscribe();
+    });
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    subscription = subscribe([`students:${exam._id}`, `attempt:${attempt._id}`], lastEventId, stream.send);
+
+    if (lastEventId && subscription.replay) {
+      subscription.replay.forEach(stream.send);
+    } else {
+      // Late joiners and clients that missed too much get every announcement so far
+      if (lastEventId) stream.send({ type: 'resync', data: { reason: 'Missed events are no longer available' } });
+      stream.send({
+        type: 'snapshot',
+        data: {
+          ...describeTime(attempt, new Date()),
+          announcements: exam.announcements.map(announcement => announcement.toPublic()),
+          clarifications: exam.getClarificationsFor(req.user.id)
+        }
+      });
+    }
+
+    ticker = setInterval(async () => {
+      try {
+        // The stream outlives the access token, but not a revoked session
+        if (!(await isSessionActive(req.user.sid))) {
+          stream.send({ type: 'session_ended', data: {} });
+          return stream.close();
+        }
+
+        const current = await ExamAttempt.findById(attempt._id);
+        if (!current) return stream.close();
+
+        stream.send({ type: 'time', data: describeTime(current, new Date()) });
+        if (current.isCompleted || current.finalizedAt) {
+          stream.send({ type: 'attempt_closed', data: { status: current.status } });
+          stream.close();
+        }
+      } catch (error) {
+        console.error('Exam attempt feed tick error:', error);
+      }
+    }, ATTEMPT_TICK_MS);
+
+  } catch (error) {
+    console.error('Exam attempt feed error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening exam attempt feed'
+    });
+  }
+});
+
+// @route   POST /api/exam-attempts/:attemptId/clarifications
+// @desc    Ask the teacher a private clarification question during a live attempt
+// @access  Private (Student)
+router.post('/:attemptId/clarifications', verifyToken, isStudent, [
+  body('question').trim().isLength({ min: 1, max: 1000 }).withMessage('Question must be 1-1000 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const studentId = req.user.id;
+    const attempt = await ExamAttempt.findOne({
+      _id: req.params.attemptId,
+      studentId: studentId
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found'
+      });
+    }
+
+    const exam = await Exam.findById(attempt.examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const now = new Date();
+    if (attempt.isCompleted || attempt.finalizedAt || attempt.status === 'expired'
+      || attempt.getTimeRemaining(exam, now) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Clarifications can only be requested during a live attempt'
+      });
+    }
+
+    const openRequests = exam.clarifications.filter(clarification =>
+      clarification.studentId.toString() === studentId && !clarification.answer).length;
+    if (openRequests >= MAX_OPEN_CLARIFICATIONS) {
+      return res.status(429).json({
+        success: false,
+        message: `You already have ${MAX_OPEN_CLARIFICATIONS} unanswered questions. Please wait for a reply.`
+      });
+    }
+
+    const clarification = exam.clarifications.create({
+      studentId,
+      attemptId: attempt._id,
+      question: req.body.question,
+      askedAt: now
+    });
+    // Pushed atomically so concurrent questions from other students are not lost
+    await Exam.updateOne({ _id: exam._id }, { $push: { clarifications: clarification } });
+
+    const student = await Student.findById(studentId).select('name email');
+    publishExamEvent(exam._id, 'clarification.requested', {
+      clarificationId: clarification._id,
+      attemptId: attempt._id,
+      studentId,
+      student: student && { name: student.name, email: student.email },
+      question: clarification.question,
+      askedAt: clarification.askedAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question sent to the teacher',
+      data: {
+        clarification: clarification.toStudentView(studentId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Request clarification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending clarification request'
+    });
+  }
+});
+
+// @route   GET /api/exam-attempts/:attemptId/clarifications
+// @desc    The student's own clarification questions plus answers published to everyone
+// @access  Private (Student)
+router.get('/:attemptId/clarifications', verifyToken, isStudent, async (req, res) => {
+  try {
+    const attempt = await ExamAttempt.findOne({
+      _id: req.params.attemptId,
+      studentId: req.user.id
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found'
+      });
+    }
+
+    const exam = await Exam.findById(attempt.examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        clarifications: exam.getClarificationsFor(req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get clarifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching clarifications'
+    });
+  }
+});
+
+// @route   PUT /api/exam-attempts/:attemptId/draft
+// @desc    Replace the whole draft answer with a single file; the draft is
+//          submitted automatically if time runs out
+// @access  Private (Student)
+router.put('/:attemptId/draft', verifyToken, isStudent, uploadAnswer.single('answerFile'), async (req, res) => {
+  let draftKey;
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answer file is required'
+      });
+    }
+
+    const now = new Date();
+    const found = await findOpenDraftAttempt(req, res, now);
+    if (!found) return;
+    const { attempt, exam } = found;
+
+    draftKey = await putFile('answers', req.file.path, {
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
+      metadata: { studentId: req.user.id, examId: exam._id, draft: true }
+    });
+    const replacedKeys = attempt.draftFiles.map(file => file.key);
+    attempt.draftFiles = [{
+      key: draftKey,
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
+      size: req.file.size,
+      uploadedAt: now
+    }];
+    attempt.draftSavedAt = now;
+    attempt.lastAccessedAt = now;
+    await attempt.save();
+    draftKey = null;
+
+    // The replaced pages are no longer referenced by anything
+    replacedKeys.forEach(key => deleteFile(key).catch(error => console.error('Previous draft cleanup error:', error)));
+
+    res.json({
+      success: true,
+      message: 'Draft answer saved',
+      data: {
+        attempt: {
+          id: attempt._id,
+          draftFiles: formatDraftFiles(attempt),
+          draftSavedAt: attempt.draftSavedAt,
+          timeRemaining: attempt.timeRemaining,
+          status: attempt.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Save draft answer error:', error);
+    if (draftKey) {
+      deleteFile(draftKey).catch(deleteError => console.error('Draft file rollback error:', deleteError));
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving draft answer'
+    });
+  }
+});
+
+// @route   POST /api/exam-attempts/:attemptId/draft/files
+// @desc    Add one or more pages (answerFiles) to the end of the draft answer
+// @access  Private (Student)
+router.post('/:attemptId/draft/files', verifyToken, isStudent, uploadAnswer.array('answerFiles', MAX_ANSWER_PAGES), async (req, res) => {
+  let pendingKeys = [];
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one answer file is required'
+      });
+    }
+
+    const now = new Date();
+    const found = await findOpenDraftAttempt(req, res, now);
+    if (!found) return;
+    const { attempt, exam } = found;
+
+    if (attempt.draftFiles.length + req.files.length > MAX_ANSWER_PAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `An answer cannot have more than ${MAX_ANSWER_PAGES} pages`
+      });
+    }
+    if (attempt.isModified()) {
+      await attempt.save();
+    }
+
+    const pages = [];
+    for (const file of req.files) {
+      const key = await putFile('answers', file.path, {
+        filename: file.originalname,
+        contentType: file.mimetype,
+        metadata: { studentId: req.user.id, examId: exam._id, draft: true }
+      });
+      pendingKeys.push(key);
+      pages.push({ key, filename: file.originalname, contentType: file.mimetype, size: file.size, uploadedAt: now });
+    }
+
+    // Appended atomically, so pages uploaded in parallel all land and the page limit still holds
+    const updated = await ExamAttempt.findOneAndUpdate(
+      {
+        _id: attempt._id,
+        isCompleted: false,
+        [`draftFiles.${MAX_ANSWER_PAGES - pages.length}`]: { $exists: false }
+      },
+      {
+        $push: { draftFiles: { $each: pages } },
+        $set: { draftSavedAt: now, lastAccessedAt: now }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The draft is full or was submitted while uploading'
+      });
+    }
+    pendingKeys = [];
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft pages saved',
+      data: {
+        attempt: {
+          id: updated._id,
+          draftFiles: formatDraftFiles(updated),
+          draftSavedAt: updated.draftSavedAt,
+          timeRemaining: attempt.timeRemaining,
+          status: attempt.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Add draft pages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving draft pages'
+    });
+  } finally {
+    // Pages stored for a draft that did not take them
+    pendingKeys.forEach(key => deleteFile(key).catch(error => console.error('Draft file rollback error:', error)));
+  }
+});
+
+// @route   PUT /api/exam-attempts/:attemptId/draft/files/order
+// @desc    Reorder the draft pages; fileIds must list every page exactly once
+// @access  Private (Student)
+router.put('/:attemptId/draft/files/order', verifyToken, isStudent, [
+  body('fileIds').isArray({ min: 1 }).withMessage('File IDs are required'),
+  body('fileIds.*').isMongoId().withMessage('Each file ID must be valid')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const now = new Date();
+    const found = await findOpenDraftAttempt(req, res, now);
+    if (!found) return;
+    const { attempt } = found;
+    if (attempt.isModified()) {
+      await attempt.save();
+    }
+
+    const { fileIds } = req.body;
+    const pagesById = new Map(attempt.draftFiles.map(file => [file._id.toString(), file.toObject()]));
+    if (fileIds.length !== pagesById.size || !fileIds.every(id => pagesById.has(id)) || new Set(fileIds).size !== fileIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'File IDs must list every draft page exactly once'
+      });
+    }
+
+    // Only applied if no page was added or removed in the meantime
+    const updated = await ExamAttempt.findOneAndUpdate(
+      {
+        _id: attempt._id,
+        isCompleted: false,
+        draftFiles: { $size: pagesById.size },
+        'draftFiles._id': { $all: attempt.draftFiles.map(file => file._id) }
+      },
+      {
+        $set: {
+          draftFiles: fileIds.map(id => pagesById.get(id)),
+          draftSavedAt: now,
+          lastAccessedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The draft changed while reordering, reload it and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Draft pages reordered',
+      data: {
+        attempt: {
+          id: updated._id,
+          draftFiles: formatDraftFiles(updated),
+          draftSavedAt: updated.draftSavedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Reorder draft pages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering draft pages'
+    });
+  }
+});
+
+// @route   GET /api/exam-attempts/:attemptId/draft/files/:fileId
+// @desc    Download one of the student's draft pages
+// @access  Private (Student)
+router.get('/:attemptId/draft/files/:fileId', verifyToken, isStudent, async (req, res) => {
+  try {
+    const attempt = await ExamAttempt.findOne({
+      _id: req.params.attemptId,
+      studentId: req.user.id
+    });
+    const page = attempt && attempt.draftFiles.id(req.params.fileId);
+    const metadata = page && await statFile(page.key);
+
+    if (!metadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft page not found'
+      });
+    }
+
+    await sendStoredFile(req, res, page.key, metadata);
+
+  } catch (error) {
+    console.error('Get draft page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching draft page'
+    });
+  }
+});
+
+// @route   DELETE /api/exam-attempts/:attemptId/draft/files/:fileId
+// @desc    Remove a page from the draft answer
+// @access  Private (Student)
+router.delete('/:attemptId/draft/files/:fileId', verifyToken, isStudent, async (req, res) => {
+  try {
+    const now = new Date();
+    const found = await findOpenDraftAttempt(req, res, now);
+    if (!found) return;
+    const { attempt } = found;
+    if (attempt.isModified()) {
+      await attempt.save();
+    }
+
+    const page = attempt.draftFiles.id(req.params.fileId);
+    const updated = page && await ExamAttempt.findOneAndUpdate(
+      { _id: attempt._id, isCompleted: false, 'draftFiles._id': page._id },
+      {
+        $pull: { draftFiles: { _id: page._id } },
+        $set: { draftSavedAt: now, lastAccessedAt: now }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft page not found'
+      });
+    }
+
+    deleteFile(page.key).catch(error => console.error('Draft page cleanup error:', error));
+
+    res.json({
+      success: true,
+      message: 'Draft page removed',
+      data: {
+        attempt: {
+          id: updated._id,
+          draftFiles: formatDraftFiles(updated),
+          draftSavedAt: updated.draftSavedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove draft page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing draft page'
+    });
+  }
+});
+
+// @route   PUT /api/exam-attempts/:attemptId/answers
+// @desc    Save responses to structured exam questions (merged with earlier saves)
+// @access  Private (Student)
+router.put('/:attemptId/answers', verifyToken, isStudent, [
+  body('answers').isArray({ min: 1 }).withMessage('At least one answer is required'),
+  body('answers.*.questionId').isMongoId().withMessage('Each answer needs a valid question ID')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { attemptId } = req.params;
+    const studentId = req.user.id;
+
+    const attempt = await ExamAttempt.findOne({
+      _id: attemptId,
+      studentId: studentId
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found'
+      });
+    }
+
+    const exam = await Exam.findById(attempt.examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    if (exam.format !== 'questions') {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam is answered by uploading a file'
+      });
+    }
+
+    const now = new Date();
+    // A running attempt keeps its own deadline even after the exam closes
+    await attempt.refreshTimer(exam, now);
+    if (attempt.status === 'expired' || attempt.isCompleted) {
+      await attempt.save();
+      return res.status(400).json({
+        success: false,
+        message: 'This exam attempt is no longer open for answers'
+      });
+    }
+
+    const questionIds = new Set(exam.questions.map(question => question._id.toString()));
+    const unknown = req.body.answers.filter(answer => !questionIds.has(answer.questionId));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some answers refer to questions that are not part of this exam'
+      });
+    }
+
+    req.body.answers.forEach(({ questionId, response }) => {
+      const saved = attempt.answers.find(answer => answer.questionId.toString() === questionId);
+      if (saved) {
+        saved.response = response === undefined ? null : response;
+        saved.answeredAt = now;
+      } else {
+        attempt.answers.push({ questionId, response, answeredAt: now });
+      }
+    });
+    attempt.markModified('answers');
+    attempt.lastAccessedAt = now;
+    await attempt.save();
+
+    res.json({
+      success: true,
+      message: 'Answers saved',
+      data: {
+        attempt: {
+          id: attempt._id,
+          answers: attempt.answers,
+          timeRemaining: attempt.timeRemaining,
+          status: attempt.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Save answers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving answers'
+    });
+  }
+});
+
+// @route   POST /api/exam-attempts/:attemptId/submit
+// @desc    Submit an exam attempt: structured answers are graded automatically,
+//          file exams hand in their draft pages
+// @access  Private (Student)
+router.post('/:attemptId/submit', verifyToken, isStudent, async (req, res) => {
+  let combinedKey;
+  try {
+    const { attemptId } = req.params;
+    const studentId = req.user.id;
+
+    const attempt = await ExamAttempt.findOne({
+      _id: attemptId,
+      studentId: studentId
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found'
+      });
+    }
+
+    const exam = await Exam.findById(attempt.examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const isStructured = exam.format === 'questions';
+    if (!isStructured) {
+      attempt.migrateLegacyDraft();
+      if (attempt.draftFiles.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload at least one answer page before submitting'
+        });
+      }
+    }
+
+    const courseIds = await Course.idsForStudent(studentId);
+    if (!exam.isOpenToCourses(courseIds)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in a course this exam is assigned to'
+      });
+    }
+
+    const now = new Date();
+    // A running attempt may be submitted until its own deadline, even after the
+    // exam closes; anything handed in after closesAt is late, as in the expiry sweep
+    await attempt.refreshTimer(exam, now);
+    const late = exam.getAvailability(now) !== 'open';
+    if (attempt.status === 'expired' || attempt.isCompleted) {
+      await attempt.save();
+      return res.status(400).json({
+        success: false,
+        message: 'This exam attempt is no longer open for submission'
+      });
+    }
+
+    const existingSubmission = await Submission.findOne({
+      studentId: studentId,
+      examId: exam._id
+    });
+
+    if (existingSubmission) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already submitted answers for this exam'
+      });
+    }
+
+    const files = isStructured
+      ? null
+      : await buildSubmissionFiles(attempt.draftFiles, { studentId, examId: exam._id });
+    combinedKey = files && files.combinedKey;
+
+    const submission = new Submission({
+      studentId: studentId,
+      examId: exam._id,
+      ...(isStructured
+        ? { ...gradeAnswers(exam, attempt.answers), autoGraded: true, gradedAt: now, status: 'graded' }
+        : { answerUrl: files.answerUrl, answerFiles: files.answerFiles, status: late ? 'late' : 'submitted' }),
+      submittedAt: now,
+      isLate: late
+    });
+
+    await submission.save();
+    combinedKey = null;
+
+    attempt.status = 'completed';
+    attempt.isCompleted = true;
+    attempt.lastAccessedAt = now;
+    await attempt.save();
+
+    publishExamEvent(exam._id, 'submission.created', {
+      submissionId: submission._id,
+      studentId,
+      submittedAt: submission.submittedAt,
+      status: submission.status,
+      isLate: submission.isLate
+    });
+    publishExamEvent(exam._id, 'attempt.completed', { attemptId: attempt._id, studentId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Answers submitted successfully',
+      data: {
+        submission: {
+          id: submission._id,
+          examId: submission.examId,
+          submittedAt: submission.submittedAt,
+          status: submission.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit exam attempt error:', error);
+    if (combinedKey) {
+      deleteFile(combinedKey).catch(deleteError => console.error('Combined answer rollback error:', deleteError));
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error during answer submission'
+    });
+  }
+});
+
+// @route   POST /api/exam-attempts/:attemptId/extensions
+// @desc    Give a live attempt extra time (Teacher only, must own the exam)
+// @access  Private (Teacher)
+router.post('/:attemptId/extensions', verifyToken, isTeacher, [
+  body('minutes').isInt({ min: 1, max: 600 }).withMessage('Extension must be 1-600 minutes'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const attempt = await ExamAttempt.findById(req.params.attemptId);
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found'
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: attempt.examId,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found or you do not have permission to extend it'
+      });
+    }
+
+    // Once the expiry sweep has submitted the attempt's work it can no longer be reopened
+    if (attempt.isCompleted || attempt.finalizedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam attempt is already finished'
+      });
+    }
+
+    await attempt.grantExtension(exam, {
+      seconds: parseInt(req.body.minutes) * 60,
+      reason: req.body.reason,
+      grantedBy: req.user.id
+    });
+    await attempt.save();
+
+    const extension = {
+      minutes: parseInt(req.body.minutes),
+      reason: req.body.reason,
+      timeRemaining: attempt.timeRemaining,
+      expiresAt: attempt.expiresAt,
+      status: attempt.status
+    };
+    publishExamEvent(exam._id, 'attempt.extended', { attemptId: attempt._id, studentId: attempt.studentId, ...extension });
+    publishAttemptEvent(attempt._id, 'time.extended', extension);
+
+    res.json({
+      success: true,
+      message: 'Extra time granted',
+      data: {
+        attempt: {
+          id: attempt._id,
+          studentId: attempt.studentId,
+          extensions: attempt.extensions,
+          timeRemaining: attempt.timeRemaining,
+          expiresAt: attempt.expiresAt,
+          status: attempt.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Extend exam attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while extending exam attempt'
+    });
+  }
+});
+
+// @route   PUT /api/exam-attempts/:attemptId/complete
+// @desc    Mark exam attempt as completed once its answers are submitted
+// @access  Private (Student)
+router.put('/:attemptId/complete', verifyToken, isStudent, async (req, res) => {
+  try {
+    const { attemptId } = req.params;
+    const studentId = req.user.id;
+
+    const attempt = await ExamAttempt.findOne({
+      _id: attemptId,
+      studentId: studentId
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam attempt not found'
+      });
+    }
+
+    // Completing is only a confirmation; answers are handed in through submit
+    const submitted = await Submission.exists({ studentId: studentId, examId: attempt.examId });
+    if (!submitted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Submit your answers before completing this exam attempt'
+      });
+    }
+
+    if (!attempt.isCompleted) {
+      attempt.status = 'completed';
+      attempt.isCompleted = true;
+      await attempt.save();
+
+      publishExamEvent(attempt.examId, 'attempt.completed', { attemptId: attempt._id, studentId });
+    }
+
     res.json({
       success: true,
       message: 'Exam attempt marked as completed'
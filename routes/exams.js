@@ -4,18 +4,112 @@ const { body, validationResult } = require('express-validator');
 const Exam = require('../models/Exam');
 const ExamAttempt = require('../models/ExamAttempt');
 const Submissions = require('../models/Submission');
-const { verifyToken, isTeacher } = require('../middleware/auth');
-const { uploadExamFile, getBucket } = require('../config/gridfs');
+const Course = require('../models/Course');
+const ProctoringEvent = require('../models/ProctoringEvent');
+const { verifyToken, verifyTokenOrFileSignature, acceptQueryToken, isTeacher } = require('../middleware/auth');
+const { uploadExamFile } = require('../config/examUpload');
+const { putFile, statFile, deleteFile } = require('../storage');
+const { signFileAccess } = require('../utils/fileSignatures');
+const { sendStoredFile } = require('../utils/fileResponse');
+const { getWatermarkedCopy } = require('../utils/watermark');
+const { applyThresholds, summarizeProctoring } = require('../utils/proctoring');
+const { subscribe, publish, publishExamEvent, publishAttemptEvent } = require('../utils/liveEvents');
+const { isSessionActive } = require('../utils/tokens');
+const { openEventStream } = require('../utils/sse');
+
+// How often the live monitor pushes every student's remaining time
+const MONITOR_TICK_MS = parseInt(process.env.MONITOR_TICK_MS, 10) || 10 * 1000;
 
 const router = express.Router();
 
+// Course IDs may arrive as a JSON array or, from multipart forms, a comma-separated string
+const parseCourseIds = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  return String(value).split(',').map(id => id.trim()).filter(Boolean);
+};
+
+// Resolve course IDs to courses owned by the teacher; null if any is invalid or foreign
+const findOwnedCourseIds = async (courseIds, teacherId) => {
+  if (courseIds.length === 0) return [];
+  if (!courseIds.every(id => mongoose.Types.ObjectId.isValid(id))) return null;
+
+  const courses = await Course.find({ _id: { $in: courseIds }, createdBy: teacherId }).select('_id');
+  return courses.length === new Set(courseIds).size ? courses.map(course => course._id) : null;
+};
+
+// The paper is visible to the teacher who owns the exam, and to students only
+// while they have an attempt in progress on an active exam (resolves to that attempt)
+const canAccessExamFile = async (exam, user) => {
+  if (user.role === 'teacher') return exam.createdBy.toString() === user.id;
+  if (user.role !== 'student' || !exam.isActive) return false;
+
+  const now = new Date();
+  const attempt = await ExamAttempt.findOne({
+    examId: exam._id,
+    studentId: user.id,
+    status: 'started',
+    isCompleted: false,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+  return attempt;
+};
+
+// Live state of an attempt as shown on the teacher's monitor
+const describeMonitoredAttempt = (attempt, exam, now) => {
+  const live = !attempt.isCompleted && attempt.status !== 'expired';
+  return {
+    attemptId: attempt._id,
+    studentId: attempt.studentId._id || attempt.studentId,
+    status: attempt.status,
+    timeRemaining: live ? attempt.getTimeRemaining(exam, now) : 0,
+    expiresAt: attempt.expiresAt,
+    proctoring: summarizeProctoring(attempt)
+  };
+};
+
+// Everything the monitor needs to (re)draw itself from scratch
+const buildMonitorSnapshot = async (exam, now = new Date()) => {
+  const [attempts, submissions] = await Promise.all([
+    ExamAttempt.find({ examId: exam._id }).populate('studentId', 'name email'),
+    Submissions.find({ examId: exam._id }).populate('studentId', 'name email')
+  ]);
+
+  return {
+    serverTime: now,
+    exam: {
+      id: exam._id,
+      title: exam.title,
+      availability: exam.getAvailability(now)
+    },
+    attempts: attempts.map(attempt => ({
+      ...describeMonitoredAttempt(attempt, exam, now),
+      student: attempt.studentId && { name: attempt.studentId.name, email: attempt.studentId.email },
+      startedAt: attempt.startedAt
+    })),
+    submissions: submissions.map(submission => ({
+      id: submission._id,
+      studentId: submission.studentId._id,
+      student: { name: submission.studentId.name, email: submission.studentId.email },
+      submittedAt: submission.submittedAt,
+      status: submission.status,
+      isLate: submission.isLate
+    }))
+  };
+};
+
 // @route   POST /api/exams
 // @desc    Create new exam (Teacher only)
 // @access  Private (Teacher)
 router.post('/', verifyToken, isTeacher, uploadExamFile.single('examPdf'), [
   body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
-  body('duration').isInt({ min: 1, max: 300 }).withMessage('Duration must be 1-300 minutes')
+  body('duration').isInt({ min: 1, max: 300 }).withMessage('Duration must be 1-300 minutes'),
+  body('opensAt').optional({ values: 'falsy' }).isISO8601().withMessage('Opening time must be a valid date'),
+  body('closesAt').optional({ values: 'falsy' }).isISO8601().withMessage('Closing time must be a valid date'),
+  body('lateCutoffAt').optional({ values: 'falsy' }).isISO8601().withMessage('Late cutoff must be a valid date'),
+  body('watermarkEnabled').optional().isBoolean().withMessage('Watermarking must be true or false')
 ], async (req, res) => {
+  let examFileKey;
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -34,17 +128,38 @@ router.post('/', verifyToken, isTeacher, uploadExamFile.single('examPdf'), [
       });
     }
 
-    const { title, duration } = req.body;
+    const { title, duration, opensAt, closesAt, lateCutoffAt } = req.body;
+
+    const courses = await findOwnedCourseIds(parseCourseIds(req.body.courses), req.user.id);
+    if (!courses) {
+      return res.status(400).json({
+        success: false,
+        message: 'Courses must exist and belong to you'
+      });
+    }
 
-    // File is already uploaded to GridFS by multer middleware
-    const examFileId = req.file.id;
+    // Hand the uploaded paper to the configured storage backend
+    examFileKey = await putFile('exams', req.file.path, {
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
+      metadata: {
+        originalName: req.file.originalname,
+        uploadedBy: req.user.id,
+        uploadedAt: new Date()
+      }
+    });
 
     // Create exam in database
     const exam = new Exam({
       title,
-      examFileId: examFileId,
+      examFileKey,
       duration: parseInt(duration),
-      createdBy: req.user.id
+      createdBy: req.user.id,
+      courses,
+      opensAt: opensAt || null,
+      closesAt: closesAt || null,
+      lateCutoffAt: lateCutoffAt || null,
+      watermarkEnabled: String(req.body.watermarkEnabled) === 'true'
     });
 
     await exam.save();
@@ -56,8 +171,13 @@ router.post('/', verifyToken, isTeacher, uploadExamFile.single('examPdf'), [
         exam: {
           id: exam._id,
           title: exam.title,
-          examFileId: exam.examFileId,
+          examFileId: exam.getFileRouteId(),
+          watermarkEnabled: exam.watermarkEnabled,
           duration: exam.duration,
+          courses: exam.courses,
+          opensAt: exam.opensAt,
+          closesAt: exam.closesAt,
+          lateCutoffAt: exam.lateCutoffAt,
           createdBy: exam.createdBy,
           createdAt: exam.createdAt
         }
@@ -66,6 +186,16 @@ router.post('/', verifyToken, isTeacher, uploadExamFile.single('examPdf'), [
 
   } catch (error) {
     console.error('Create exam error:', error);
+    // Don't leave the stored paper behind when the exam was not created
+    if (examFileKey) {
+      deleteFile(examFileKey).catch(deleteError => console.error('Exam file rollback error:', deleteError));
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error during exam creation'
@@ -73,99 +203,213 @@ router.post('/', verifyToken, isTeacher, uploadExamFile.single('examPdf'), [
   }
 });
 
-// @route   GET /api/exams/file/:id
-// @desc    Serve exam PDF file from GridFS or redirect to Cloudinary (Public access for iframe)
-// @access  Public (only active exams)
-router.get('/file/:id', async (req, res) => {
+// @route   POST /api/exams/structured
+// @desc    Create a structured, auto-graded exam from a list of questions (Teacher only)
+// @access  Private (Teacher)
+router.post('/structured', verifyToken, isTeacher, [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+  body('duration').isInt({ min: 1, max: 300 }).withMessage('Duration must be 1-300 minutes'),
+  body('opensAt').optional({ values: 'falsy' }).isISO8601().withMessage('Opening time must be a valid date'),
+  body('closesAt').optional({ values: 'falsy' }).isISO8601().withMessage('Closing time must be a valid date'),
+  body('lateCutoffAt').optional({ values: 'falsy' }).isISO8601().withMessage('Late cutoff must be a valid date'),
+  body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
+  body('questions.*.kind').isString().withMessage('Each question needs a kind'),
+  body('questions.*.prompt').trim().isLength({ min: 1, max: 2000 }).withMessage('Each question needs a prompt of 1-2000 characters'),
+  body('questions.*.points').isFloat({ min: 0 }).withMessage('Question points must be a non-negative number')
+], async (req, res) => {
   try {
-    const fileId = req.params.id;
-    
-    // Check if this is a Cloudinary URL (old data)
-    if (fileId.startsWith('http')) {
-      // Redirect to Cloudinary URL for old exams
-      return res.redirect(fileId);
-    }
-    
-    // Validate ObjectId format for GridFS
-    if (!mongoose.Types.ObjectId.isValid(fileId)) {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid file ID format'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if exam exists and user has access
-    const exam = await Exam.findOne({ 
-      $or: [
-        { examFileId: fileId },
-        { examPdfUrl: fileId }
-      ]
-    });
-    if (!exam) {
-      return res.status(404).json({
+    const { title, duration, opensAt, closesAt, lateCutoffAt, questions } = req.body;
+
+    const courses = await findOwnedCourseIds(parseCourseIds(req.body.courses), req.user.id);
+    if (!courses) {
+      return res.status(400).json({
         success: false,
-        message: 'Exam file not found'
+        message: 'Courses must exist and belong to you'
       });
     }
 
-    // If this is an old exam with Cloudinary URL, redirect to it
-    if (exam.examPdfUrl && exam.examPdfUrl.startsWith('http')) {
-      return res.redirect(exam.examPdfUrl);
-    }
+    const exam = new Exam({
+      title,
+      format: 'questions',
+      questions: questions.map(question => ({
+        kind: question.kind,
+        prompt: question.prompt,
+        points: question.points,
+        options: question.options,
+        correctOptions: question.correctOptions,
+        correctBoolean: question.correctBoolean,
+        correctNumber: question.correctNumber,
+        tolerance: question.tolerance,
+        acceptedAnswers: question.acceptedAnswers,
+        caseSensitive: question.caseSensitive
+      })),
+      duration: parseInt(duration),
+      createdBy: req.user.id,
+      courses,
+      opensAt: opensAt || null,
+      closesAt: closesAt || null,
+      lateCutoffAt: lateCutoffAt || null
+    });
 
-    // Check if exam is active (only active exams can be accessed)
-    if (!exam.isActive) {
-      return res.status(403).json({
+    await exam.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Exam created successfully',
+      data: {
+        exam: {
+          id: exam._id,
+          title: exam.title,
+          format: exam.format,
+          questions: exam.questions,
+          totalPoints: exam.getTotalPoints(),
+          duration: exam.duration,
+          courses: exam.courses,
+          opensAt: exam.opensAt,
+          closesAt: exam.closesAt,
+          lateCutoffAt: exam.lateCutoffAt,
+          createdBy: exam.createdBy,
+          createdAt: exam.createdAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create structured exam error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied: This exam is not currently active'
+        message: Object.values(error.errors).map(err => err.message).join(', ')
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Server error during exam creation'
+    });
+  }
+});
 
-    // Get GridFS bucket
-    const bucket = getBucket();
-    if (!bucket) {
-      return res.status(500).json({
+// @route   GET /api/exams/:id/file-url
+// @desc    Mint a short-lived signed URL for the exam paper, usable as an iframe src
+// @access  Private (owning Teacher, Student with an active attempt, Admin)
+router.get('/:id/file-url', verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
         success: false,
-        message: 'GridFS not initialized'
+        message: 'Invalid exam ID format'
       });
     }
 
-    // Get file metadata from GridFS to determine content type
-    const files = await bucket.find({ _id: new mongoose.Types.ObjectId(fileId) }).toArray();
-    
-    if (files.length === 0) {
+    const exam = await Exam.findById(req.params.id);
+    if (!exam || exam.format === 'questions') {
       return res.status(404).json({
         success: false,
-        message: 'File not found in GridFS'
+        message: 'Exam file not found'
       });
     }
-    
-    const fileMetadata = files[0];
-    const contentType = fileMetadata.contentType || 'application/pdf';
-    const originalFilename = fileMetadata.filename || `${exam.title}.pdf`;
 
-    // Create download stream
-    const downloadStream = bucket.openDownloadStream(new mongoose.Types.ObjectId(fileId));
+    // Admins may inspect any paper; their links are only minted from a real session
+    if (req.user.role !== 'admin' && !(await canAccessExamFile(exam, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: you cannot view this exam file now'
+      });
+    }
+
+    const fileId = exam.getFileRouteId();
+    const signature = signFileAccess(fileId, req.user.id, req.user.role);
+    const query = new URLSearchParams(signature).toString();
+
+    res.json({
+      success: true,
+      data: {
+        url: `/api/exams/file/${encodeURIComponent(fileId)}?${query}`,
+        expiresAt: new Date(signature.expires * 1000)
+      }
+    });
 
-    // Set response headers
-    res.set({
-      'Content-Type': contentType,
-      'Content-Disposition': `inline; filename="${originalFilename}"`,
-      'Cache-Control': 'public, max-age=3600' // Cache for 1 hour
+  } catch (error) {
+    console.error('Sign exam file URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating exam file link'
     });
+  }
+});
+
+// @route   GET /api/exams/file/:id
+// @desc    Serve exam PDF file from file storage or redirect to Cloudinary
+// @access  Private (JWT or signed URL from /:id/file-url; owning Teacher, Student with an active attempt, Admin)
+router.get('/file/:id', verifyTokenOrFileSignature, async (req, res) => {
+  try {
+    const fileId = req.params.id;
+
+    // Old exams are addressed by their Cloudinary URL or GridFS examFileId, newer
+    // ones by their own id (see getFileRouteId)
+    const exam = mongoose.Types.ObjectId.isValid(fileId)
+      ? await Exam.findOne({ $or: [{ examFileId: fileId }, { _id: fileId, format: { $ne: 'questions' } }] })
+      : await Exam.findOne({ examPdfUrl: fileId });
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam file not found'
+      });
+    }
 
-    // Pipe the file to response
-    downloadStream.pipe(res);
+    // Admins may inspect any paper, with a session or a link minted from one
+    const access = req.user.role === 'admin' || await canAccessExamFile(exam, req.user);
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: you cannot view this exam file now'
+      });
+    }
 
-    // Handle errors
-    downloadStream.on('error', (error) => {
-      console.error('GridFS download error:', error);
-      if (!res.headersSent) {
-        res.status(404).json({
+    // Students get their own copy stamped with who they are
+    if (req.user.role === 'student' && exam.watermarkEnabled) {
+      const copy = await getWatermarkedCopy(exam, access);
+      if (!copy) {
+        return res.status(404).json({
           success: false,
-          message: 'File not found in GridFS'
+          message: 'Exam file not found in storage'
         });
       }
+      return await sendStoredFile(req, res, copy.key, copy.metadata, {
+        filename: copy.metadata.filename || `${exam.title}.pdf`
+      });
+    }
+
+    // If this is an old exam with Cloudinary URL, redirect to it
+    const legacyPdfUrl = exam.get('examPdfUrl');
+    if (legacyPdfUrl && legacyPdfUrl.startsWith('http')) {
+      return res.redirect(legacyPdfUrl);
+    }
+
+    const fileKey = exam.getExamFileKey();
+    const fileMetadata = await statFile(fileKey);
+    if (!fileMetadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam file not found in storage'
+      });
+    }
+
+    await sendStoredFile(req, res, fileKey, {
+      ...fileMetadata,
+      contentType: fileMetadata.contentType || 'application/pdf'
+    }, {
+      filename: fileMetadata.filename || `${exam.title}.pdf`
     });
 
   } catch (error) {
@@ -184,9 +428,11 @@ router.get('/', verifyToken, async (req, res) => {
   try {
     let query = {};
     
-    // Students only see active exams, teachers see only their own active exams
+    // Students only see active exams inside their availability window,
+    // teachers see only their own active exams
     if (req.user.role === 'student') {
-      query.isActive = true;
+      const courseIds = await Course.idsForStudent(req.user.id);
+      query = Exam.availableConditions(new Date(), courseIds);
     } else if (req.user.role === 'teacher') {
       query.createdBy = req.user.id;
       query.isActive = true;
@@ -202,7 +448,10 @@ router.get('/', verifyToken, async (req, res) => {
         exams: exams.map(exam => ({
           id: exam._id,
           title: exam.title,
-          examFileId: exam.examFileId || exam.examPdfUrl, // Handle both old and new data
+          format: exam.format,
+          examFileId: exam.getFileRouteId(), // id to fetch the paper with from /file/:id
+          questionCount: exam.questions.length,
+          totalPoints: exam.getTotalPoints(),
           duration: exam.duration,
           createdBy: {
             id: exam.createdBy._id,
@@ -210,7 +459,12 @@ router.get('/', verifyToken, async (req, res) => {
             email: exam.createdBy.email
           },
           createdAt: exam.createdAt,
-          isActive: exam.isActive
+          courses: exam.courses,
+          isActive: exam.isActive,
+          opensAt: exam.opensAt,
+          closesAt: exam.closesAt,
+          lateCutoffAt: exam.lateCutoffAt,
+          availability: exam.getAvailability()
         }))
       }
     });
@@ -224,6 +478,80 @@ router.get('/', verifyToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/exams/:id/live
+// @desc    Server-Sent Events feed of attempts, submissions, proctoring flags and remaining time.
+//          Pass the access token as ?token= (EventSource cannot set headers); reconnecting
+//          clients send Last-Event-ID (or ?lastEventId=) to replay what they missed.
+// @access  Private (Teacher)
+router.get('/:id/live', acceptQueryToken, verifyToken, isTeacher, async (req, res) => {
+  try {
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to monitor it'
+      });
+    }
+
+    let subscription;
+    let ticker;
+    const stream = openEventStream(req, res, () => {
+      clearInterval(ticker);
+      if (subscription) subscription.unsubscribe();
+    });
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    subscription = subscribe(`exam:${exam._id}`, lastEventId, stream.send);
+
+    if (lastEventId && subscription.replay) {
+      subscription.replay.forEach(stream.send);
+    } else {
+      // First connection, or too much was missed to replay: start from a full picture
+      if (lastEventId) stream.send({ type: 'resync', data: { reason: 'Missed events are no longer available' } });
+      stream.send({ type: 'snapshot', data: await buildMonitorSnapshot(exam) });
+    }
+    if (stream.isClosed()) return;
+
+    ticker = setInterval(async () => {
+      try {
+        // The stream outlives the access token, but not a revoked session
+        if (!(await isSessionActive(req.user.sid))) {
+          stream.send({ type: 'session_ended', data: {} });
+          return stream.close();
+        }
+
+        const now = new Date();
+        const attempts = await ExamAttempt.find({
+          examId: exam._id,
+          isCompleted: false,
+          status: 'started'
+        });
+        stream.send({
+          type: 'time',
+          data: {
+            serverTime: now,
+            attempts: attempts.map(attempt => describeMonitoredAttempt(attempt, exam, now))
+          }
+        });
+      } catch (error) {
+        console.error('Exam monitor tick error:', error);
+      }
+    }, MONITOR_TICK_MS);
+
+  } catch (error) {
+    console.error('Exam monitor error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening exam monitor'
+    });
+  }
+});
+
 // @route   GET /api/exams/:id
 // @desc    Get specific exam
 // @access  Private
@@ -239,20 +567,59 @@ router.get('/:id', verifyToken, async (req, res) => {
       });
     }
 
+    // Students only see exams assigned to one of their courses
+    if (req.user.role === 'student') {
+      const courseIds = await Course.idsForStudent(req.user.id);
+      if (!exam.isOpenToCourses(courseIds)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exam not found'
+        });
+      }
+    }
+
+    // The owner sees the answer key; students only see questions once they have
+    // an open attempt
+    let questions;
+    if (exam.format === 'questions') {
+      if (req.user.role === 'teacher' && exam.createdBy._id.toString() === req.user.id) {
+        questions = exam.questions;
+      } else if (req.user.role === 'student') {
+        const attempt = await ExamAttempt.findOne({
+          studentId: req.user.id,
+          examId: exam._id,
+          isCompleted: false,
+          status: 'started'
+        });
+        questions = attempt ? exam.getPublicQuestions() : [];
+      }
+    }
+
     res.json({
       success: true,
       data: {
         exam: {
           id: exam._id,
           title: exam.title,
-          examFileId: exam.examFileId || exam.examPdfUrl, // Handle both old and new data
+          format: exam.format,
+          examFileId: exam.getFileRouteId(), // id to fetch the paper with from /file/:id
+          questions,
+          totalPoints: exam.getTotalPoints(),
+          rubric: exam.rubric || [],
+          rubricMaxScore: exam.getRubricMaxScore(),
           duration: exam.duration,
           createdBy: {
             id: exam.createdBy._id,
             name: exam.createdBy.name,
             email: exam.createdBy.email
           },
-          createdAt: exam.createdAt
+          createdAt: exam.createdAt,
+          courses: exam.courses,
+          opensAt: exam.opensAt,
+          closesAt: exam.closesAt,
+          lateCutoffAt: exam.lateCutoffAt,
+          watermarkEnabled: exam.watermarkEnabled,
+          availability: exam.getAvailability()
         }
       }
     });
@@ -266,6 +633,674 @@ router.get('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/exams/:id/courses
+// @desc    Assign the exam to courses (Teacher only, must be creator).
+//          An empty list makes the exam available to all students.
+// @access  Private (Teacher)
+router.put('/:id/courses', verifyToken, isTeacher, [
+  body('courses').isArray().withMessage('Courses must be a list of course IDs'),
+  body('courses.*').isMongoId().withMessage('Each course must be a valid course ID')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to assign it'
+      });
+    }
+
+    const courses = await findOwnedCourseIds(req.body.courses, req.user.id);
+    if (!courses) {
+      return res.status(400).json({
+        success: false,
+        message: 'Courses must exist and belong to you'
+      });
+    }
+
+    exam.courses = courses;
+    await exam.save();
+
+    res.json({
+      success: true,
+      message: 'Exam courses updated successfully',
+      data: {
+        exam: {
+          id: exam._id,
+          title: exam.title,
+          courses: exam.courses
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Assign exam courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning exam courses'
+    });
+  }
+});
+
+// @route   PUT /api/exams/:id/schedule
+// @desc    Set the availability window (Teacher only, must be creator).
+//          Send null or an empty value to clear a bound.
+// @access  Private (Teacher)
+router.put('/:id/schedule', verifyToken, isTeacher, [
+  body('opensAt').optional({ values: 'falsy' }).isISO8601().withMessage('Opening time must be a valid date'),
+  body('closesAt').optional({ values: 'falsy' }).isISO8601().withMessage('Closing time must be a valid date'),
+  body('lateCutoffAt').optional({ values: 'falsy' }).isISO8601().withMessage('Late cutoff must be a valid date')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to schedule it'
+      });
+    }
+
+    ['opensAt', 'closesAt', 'lateCutoffAt'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        exam[field] = req.body[field] || null;
+      }
+    });
+
+    await exam.save();
+
+    res.json({
+      success: true,
+      message: 'Exam schedule updated successfully',
+      data: {
+        exam: {
+          id: exam._id,
+          title: exam.title,
+          opensAt: exam.opensAt,
+          closesAt: exam.closesAt,
+          lateCutoffAt: exam.lateCutoffAt,
+          availability: exam.getAvailability()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Schedule exam error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scheduling exam'
+    });
+  }
+});
+
+// @route   PUT /api/exams/:id/rubric
+// @desc    Attach or replace the marking rubric of a file-based exam (Teacher only, must be creator).
+//          Send an empty list to remove it.
+// @access  Private (Teacher)
+router.put('/:id/rubric', verifyToken, isTeacher, [
+  body('rubric').isArray().withMessage('Rubric must be a list of criteria'),
+  body('rubric.*.title').trim().isLength({ min: 1, max: 200 }).withMessage('Each criterion needs a title of 1-200 characters'),
+  body('rubric.*.levels').isArray({ min: 1 }).withMessage('Each criterion needs at least one level'),
+  body('rubric.*.levels.*.label').trim().isLength({ min: 1, max: 100 }).withMessage('Each level needs a label of 1-100 characters'),
+  body('rubric.*.levels.*.points').isFloat({ min: 0 }).withMessage('Level points must be a non-negative number')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to edit its rubric'
+      });
+    }
+
+    if (exam.format === 'questions') {
+      return res.status(400).json({
+        success: false,
+        message: 'Structured exams are graded automatically and cannot have a rubric'
+      });
+    }
+
+    exam.rubric = req.body.rubric.map(criterion => ({
+      title: criterion.title,
+      description: criterion.description,
+      levels: criterion.levels.map(level => ({
+        label: level.label,
+        description: level.description,
+        points: level.points
+      }))
+    }));
+
+    await exam.save();
+
+    res.json({
+      success: true,
+      message: 'Rubric saved successfully',
+      data: {
+        exam: {
+          id: exam._id,
+          title: exam.title,
+          rubric: exam.rubric,
+          rubricMaxScore: exam.getRubricMaxScore()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Save rubric error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving rubric'
+    });
+  }
+});
+
+// @route   PUT /api/exams/:id/watermark
+// @desc    Turn per-student watermarking of the exam paper on or off
+// @access  Private (Teacher)
+router.put('/:id/watermark', verifyToken, isTeacher, [
+  body('enabled').isBoolean().withMessage('Enabled must be true or false')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to update it'
+      });
+    }
+
+    if (exam.format === 'questions') {
+      return res.status(400).json({
+        success: false,
+        message: 'Structured exams have no paper to watermark'
+      });
+    }
+
+    exam.watermarkEnabled = String(req.body.enabled) === 'true';
+    await exam.save();
+
+    res.json({
+      success: true,
+      message: exam.watermarkEnabled
+        ? 'Students will now receive a watermarked copy of the exam paper'
+        : 'Watermarking turned off for this exam',
+      data: {
+        exam: {
+          id: exam._id,
+          title: exam.title,
+          watermarkEnabled: exam.watermarkEnabled
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update watermark setting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating watermark setting'
+    });
+  }
+});
+
+// @route   PUT /api/exams/:id/proctoring
+// @desc    Set how many proctoring events of each type flag an attempt (null turns a type off)
+// @access  Private (Teacher)
+router.put('/:id/proctoring', verifyToken, isTeacher, [
+  body('thresholds').isObject().withMessage('Thresholds must be an object of event type to count'),
+  body('thresholds').custom((thresholds) => {
+    const types = [...ProctoringEvent.CLIENT_EVENT_TYPES, ...ProctoringEvent.SERVER_EVENT_TYPES];
+    return Object.entries(thresholds).every(([type, limit]) =>
+      types.includes(type) && (limit === null || (Number.isInteger(limit) && limit >= 1 && limit <= 1000)));
+  }).withMessage('Each threshold must name a known event type and be 1-1000 or null')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to update it'
+      });
+    }
+
+    exam.proctoringThresholds = new Map(
+      Object.entries(req.body.thresholds).filter(([, limit]) => limit !== null)
+    );
+    await exam.save();
+
+    // Re-evaluate flags on attempts already under way or finished
+    const attempts = await ExamAttempt.find({ examId: exam._id });
+    let flagged = 0;
+    for (const attempt of attempts) {
+      applyThresholds(attempt, exam);
+      if (attempt.proctoring.flagged) flagged++;
+      if (attempt.isModified()) await attempt.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Proctoring thresholds updated',
+      data: {
+        exam: {
+          id: exam._id,
+          title: exam.title,
+          proctoringThresholds: exam.getProctoringThresholds()
+        },
+        flaggedAttempts: flagged
+      }
+    });
+
+  } catch (error) {
+    console.error('Update proctoring thresholds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating proctoring thresholds'
+    });
+  }
+});
+
+// @route   POST /api/exams/:id/announcements
+// @desc    Announce something to everyone sitting the exam, optionally granting them all extra time
+// @access  Private (Teacher)
+router.post('/:id/announcements', verifyToken, isTeacher, [
+  body('message').trim().isLength({ min: 1, max: 1000 }).withMessage('Message must be 1-1000 characters'),
+  body('extraMinutes').optional({ values: 'falsy' }).isInt({ min: 1, max: 600 }).withMessage('Extra time must be 1-600 minutes')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to make announcements'
+      });
+    }
+
+    const extraMinutes = parseInt(req.body.extraMinutes) || 0;
+    exam.announcements.push({
+      message: req.body.message,
+      extraMinutes,
+      createdBy: req.user.id
+    });
+    await exam.save();
+    const announcement = exam.announcements[exam.announcements.length - 1];
+
+    // Extra time goes to every attempt whose work has not been submitted yet
+    let extendedAttempts = 0;
+    if (extraMinutes > 0) {
+      const attempts = await ExamAttempt.find({
+        examId: exam._id,
+        isCompleted: false,
+        finalizedAt: null
+      });
+
+      for (const attempt of attempts) {
+        await attempt.grantExtension(exam, {
+          seconds: extraMinutes * 60,
+          reason: req.body.message.slice(0, 200),
+          grantedBy: req.user.id
+        });
+        await attempt.save();
+        extendedAttempts++;
+
+        const extension = {
+          minutes: extraMinutes,
+          reason: req.body.message,
+          timeRemaining: attempt.timeRemaining,
+          expiresAt: attempt.expiresAt,
+          status: attempt.status
+        };
+        publishExamEvent(exam._id, 'attempt.extended', { attemptId: attempt._id, studentId: attempt.studentId, ...extension });
+        publishAttemptEvent(attempt._id, 'time.extended', extension);
+      }
+    }
+
+    publish(`students:${exam._id}`, 'announcement', announcement.toPublic());
+    publishExamEvent(exam._id, 'announcement.created', { ...announcement.toPublic(), extendedAttempts });
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement sent',
+      data: {
+        announcement: announcement.toPublic(),
+        extendedAttempts
+      }
+    });
+
+  } catch (error) {
+    console.error('Create announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending announcement'
+    });
+  }
+});
+
+// @route   GET /api/exams/:id/announcements
+// @desc    All announcements made during the exam, oldest first
+// @access  Private (owning Teacher, or Student who has an attempt)
+router.get('/:id/announcements', verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid exam ID format'
+      });
+    }
+
+    const exam = await Exam.findById(req.params.id);
+    const allowed = exam && (
+      (req.user.role === 'teacher' && exam.createdBy.toString() === req.user.id)
+      || (req.user.role === 'student' && await ExamAttempt.exists({ examId: exam._id, studentId: req.user.id }))
+    );
+
+    if (!allowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        announcements: exam.announcements.map(announcement => announcement.toPublic())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching announcements'
+    });
+  }
+});
+
+// Full clarification record as the teacher sees it
+const formatClarification = clarification => ({
+  id: clarification._id,
+  student: clarification.studentId && clarification.studentId.name
+    ? { id: clarification.studentId._id, name: clarification.studentId.name, email: clarification.studentId.email }
+    : { id: clarification.studentId },
+  attemptId: clarification.attemptId,
+  question: clarification.question,
+  askedAt: clarification.askedAt,
+  answer: clarification.answer || null,
+  answeredAt: clarification.answeredAt || null,
+  visibility: clarification.visibility
+});
+
+// @route   GET /api/exams/:id/clarifications
+// @desc    Clarification questions students asked during the exam (?status=open|answered)
+// @access  Private (Teacher)
+router.get('/:id/clarifications', verifyToken, isTeacher, async (req, res) => {
+  try {
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    }).populate('clarifications.studentId', 'name email');
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to view its clarifications'
+      });
+    }
+
+    const { status } = req.query;
+    const clarifications = exam.clarifications.filter(clarification =>
+      status === 'open' ? !clarification.answer
+        : status === 'answered' ? Boolean(clarification.answer)
+          : true);
+
+    res.json({
+      success: true,
+      data: {
+        clarifications: clarifications.map(formatClarification)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get clarifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching clarifications'
+    });
+  }
+});
+
+// @route   PUT /api/exams/:id/clarifications/:clarificationId
+// @desc    Answer a clarification privately, or publish question and answer to every student
+// @access  Private (Teacher)
+router.put('/:id/clarifications/:clarificationId', verifyToken, isTeacher, [
+  body('answer').trim().isLength({ min: 1, max: 2000 }).withMessage('Answer must be 1-2000 characters'),
+  body('visibility').optional().isIn(['private', 'public']).withMessage('Visibility must be private or public')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+    const clarification = exam && mongoose.Types.ObjectId.isValid(req.params.clarificationId)
+      ? exam.clarifications.id(req.params.clarificationId)
+      : null;
+
+    if (!clarification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clarification not found or you do not have permission to answer it'
+      });
+    }
+
+    clarification.answer = req.body.answer;
+    clarification.answeredBy = req.user.id;
+    clarification.answeredAt = new Date();
+    clarification.visibility = req.body.visibility || 'private';
+
+    // Only this entry is written, so questions asked meanwhile are kept
+    await Exam.updateOne(
+      { _id: exam._id, 'clarifications._id': clarification._id },
+      {
+        $set: {
+          'clarifications.$.answer': clarification.answer,
+          'clarifications.$.answeredBy': clarification.answeredBy,
+          'clarifications.$.answeredAt': clarification.answeredAt,
+          'clarifications.$.visibility': clarification.visibility
+        }
+      }
+    );
+
+    // The student who asked always hears back; a public answer also goes to everyone else
+    if (clarification.attemptId) {
+      publishAttemptEvent(clarification.attemptId, 'clarification.answered',
+        clarification.toStudentView(clarification.studentId));
+    }
+    if (clarification.visibility === 'public') {
+      publish(`students:${exam._id}`, 'clarification.answered', clarification.toStudentView());
+    }
+    publishExamEvent(exam._id, 'clarification.answered', {
+      clarificationId: clarification._id,
+      studentId: clarification.studentId,
+      visibility: clarification.visibility
+    });
+
+    res.json({
+      success: true,
+      message: clarification.visibility === 'public'
+        ? 'Answer published to all students'
+        : 'Answer sent to the student',
+      data: {
+        clarification: formatClarification(clarification)
+      }
+    });
+
+  } catch (error) {
+    console.error('Answer clarification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while answering clarification'
+    });
+  }
+});
+
+// @route   PUT /api/exams/:id/release-grades
+// @desc    Publish graded results to students (Teacher only, must be creator)
+// @access  Private (Teacher)
+router.put('/:id/release-grades', verifyToken, isTeacher, async (req, res) => {
+  try {
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to release its grades'
+      });
+    }
+
+    if (exam.gradesReleasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grades for this exam are already released'
+      });
+    }
+
+    exam.gradesReleasedAt = new Date();
+    await exam.save();
+
+    const ungraded = await Submissions.countDocuments({
+      examId: exam._id,
+      status: { $ne: 'graded' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Grades released successfully. Students can now see their results.',
+      data: {
+        exam: {
+          id: exam._id,
+          title: exam.title,
+          gradesReleasedAt: exam.gradesReleasedAt
+        },
+        ungradedSubmissions: ungraded
+      }
+    });
+
+  } catch (error) {
+    console.error('Release grades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while releasing grades'
+    });
+  }
+});
+
 // @route   PUT /api/exams/:id/cancel
 // @desc    Cancel exam (Teacher only, must be creator) - marks as inactive
 // @access  Private (Teacher)
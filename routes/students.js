@@ -0,0 +1,274 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken, isTeacherOrAdmin } = require('../middleware/auth');
+const { uploadCsv } = require('../config/csvUpload');
+const { sendAccountSetupEmail } = require('../utils/authEmails');
+const { escapeSpreadsheetCell } = require('../utils/spreadsheet');
+
+const router = express.Router();
+
+// Sized so one import finishes well within a proxy timeout
+const MAX_IMPORT_ROWS = 500;
+
+// Temporary passwords are 72 random bits, so a much cheaper hash than for chosen
+// passwords is still safe, and keeps an import from pinning the CPU for minutes.
+// The student's own password is hashed at full cost once they change it.
+const TEMPORARY_PASSWORD_ROUNDS = 6;
+
+const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+// Look up a course by id or invite code; teachers may only use their own courses
+const createCourseResolver = (req) => {
+  const cache = new Map();
+
+  return async (value) => {
+    if (!cache.has(value)) {
+      const query = mongoose.Types.ObjectId.isValid(value)
+        ? { _id: value }
+        : { inviteCode: value.toUpperCase() };
+      if (req.user.role === 'teacher') {
+        query.createdBy = req.user.id;
+      }
+      cache.set(value, await Course.findOne(query));
+    }
+    return cache.get(value);
+  };
+};
+
+// @route   POST /api/students/import
+// @desc    Create student accounts from a CSV with name, email and optional course
+//          columns (course id or invite code). Re-uploading the same file is safe:
+//          existing students are only enrolled, never recreated.
+//          ?onboarding=password (default) returns temporary passwords,
+//          ?onboarding=invite emails each new student a link to set a password.
+// @access  Private (Teacher/Admin)
+router.post('/import', verifyToken, isTeacherOrAdmin, uploadCsv.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file is required'
+      });
+    }
+
+    const onboarding = req.query.onboarding || 'password';
+    if (!['password', 'invite'].includes(onboarding)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Onboarding must be password or invite'
+      });
+    }
+
+    let records;
+    try {
+      records = parse(req.file.buffer, {
+        columns: header => header.map(column => column.trim().toLowerCase()),
+        skip_empty_lines: true,
+        trim: true,
+        bom: true
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read CSV: ${parseError.message}`
+      });
+    }
+
+    if (records.length === 0 || !('name' in records[0]) || !('email' in records[0])) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV must have a header row with name and email columns'
+      });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV cannot have more than ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const resolveCourse = createCourseResolver(req);
+    const seenEmails = new Set();
+    const rows = [];
+
+    for (const [index, record] of records.entries()) {
+      // Header is line 1, so data rows start at line 2
+      const result = { row: index + 2, name: record.name, email: record.email };
+      rows.push(result);
+
+      // Validate with the Student model's own rules
+      const candidate = new Student({
+        name: record.name,
+        email: record.email,
+        password: generateTemporaryPassword()
+      });
+      const validationError = candidate.validateSync(['name', 'email']);
+      if (validationError) {
+        result.status = 'error';
+        result.errors = Object.values(validationError.errors).map(err => err.message);
+        continue;
+      }
+      result.email = candidate.email;
+
+      if (seenEmails.has(candidate.email)) {
+        result.status = 'error';
+        result.errors = ['Duplicate email in this file'];
+        continue;
+      }
+      seenEmails.add(candidate.email);
+
+      let course = null;
+      if (record.course) {
+        course = await resolveCourse(record.course);
+        if (!course) {
+          result.status = 'error';
+          result.errors = [`Course "${record.course}" not found`];
+          continue;
+        }
+      }
+
+      let student = await Student.findOne({ email: candidate.email });
+      if (student) {
+        result.status = 'existing';
+      } else {
+        const temporaryPassword = candidate.password;
+        candidate.emailVerified = onboarding === 'password';
+        candidate.$locals.passwordRounds = TEMPORARY_PASSWORD_ROUNDS;
+        try {
+          await candidate.save();
+        } catch (saveError) {
+          if (saveError.code !== 11000) throw saveError;
+          // Created concurrently by another import
+          student = await Student.findOne({ email: candidate.email });
+          result.status = 'existing';
+        }
+
+        if (!student) {
+          student = candidate;
+          result.status = 'created';
+          if (onboarding === 'password') {
+            result.temporaryPassword = temporaryPassword;
+          } else {
+            try {
+              await sendAccountSetupEmail(student, 'student');
+              result.invited = true;
+            } catch (mailError) {
+              console.error('Account setup email error:', mailError);
+              result.invited = false;
+            }
+          }
+        }
+      }
+
+      result.id = student._id;
+      if (course) {
+        const update = await Course.updateOne({ _id: course._id }, { $addToSet: { students: student._id } });
+        result.course = course._id;
+        result.enrolled = update.modifiedCount > 0;
+      }
+    }
+
+    const summary = {
+      total: rows.length,
+      created: rows.filter(row => row.status === 'created').length,
+      existing: rows.filter(row => row.status === 'existing').length,
+      failed: rows.filter(row => row.status === 'error').length
+    };
+
+    await AuditLog.record(req, 'students.import', {
+      targetRole: 'student',
+      details: { onboarding, ...summary }
+    });
+
+    res.json({
+      success: true,
+      message: `Import finished: ${summary.created} created, ${summary.existing} existing, ${summary.failed} failed`,
+      data: {
+        summary,
+        rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Import students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing students'
+    });
+  }
+});
+
+// @route   GET /api/students/export
+// @desc    Download the student roster as CSV (name, email, course, courseName), one
+//          row per enrollment. Teachers get their own courses; admins get every
+//          student. Filter with ?courseId=. The file can be re-imported as is.
+// @access  Private (Teacher/Admin)
+router.get('/export', verifyToken, isTeacherOrAdmin, async (req, res) => {
+  try {
+    const courseQuery = {};
+    if (req.user.role === 'teacher') {
+      courseQuery.createdBy = req.user.id;
+    }
+    if (req.query.courseId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.courseId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid course ID format'
+        });
+      }
+      courseQuery._id = req.query.courseId;
+    }
+
+    const courses = await Course.find(courseQuery)
+      .populate('students', 'name email')
+      .sort({ name: 1 });
+
+    if (req.query.courseId && courses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or you do not have permission to export it'
+      });
+    }
+
+    const rows = [];
+    courses.forEach(course => {
+      course.students.forEach(student => {
+        rows.push([student.name, student.email, course._id.toString(), course.name]);
+      });
+    });
+
+    // Admins exporting everything also get students without a course
+    if (req.user.role === 'admin' && !req.query.courseId) {
+      const enrolled = await Course.distinct('students');
+      const unenrolled = await Student.find({ _id: { $nin: enrolled } }).select('name email').sort({ name: 1 });
+      unenrolled.forEach(student => rows.push([student.name, student.email, '', '']));
+    }
+
+    const csv = stringify(rows.map(row => row.map(escapeSpreadsheetCell)), {
+      header: true,
+      columns: ['name', 'email', 'course', 'courseName']
+    });
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="students_${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Export students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting students'
+    });
+  }
+});
+
+module.exports = router;
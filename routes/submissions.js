@@ -1,46 +1,45 @@
 const express = require('express');
-const multer = require('multer');
+const mongoose = require('mongoose');
 const path = require('path');
+const archiver = require('archiver');
+const { once } = require('events');
+const { stringify } = require('csv-stringify/sync');
 const { body, validationResult } = require('express-validator');
 const Submission = require('../models/Submission');
 const Exam = require('../models/Exam');
 const Student = require('../models/Student');
+const Course = require('../models/Course');
+const ExamAttempt = require('../models/ExamAttempt');
 const { verifyToken, isStudent, isTeacher } = require('../middleware/auth');
-const { uploadAnswerFile } = require('../config/cloudinary');
+const { uploadAnswer } = require('../config/answerUpload');
+const { buildGradebookRows, sendGradebook } = require('../utils/gradebook');
+const { putFile, statFile, streamFile, deleteFile } = require('../storage');
+const { sendStoredFile } = require('../utils/fileResponse');
+const { summarizeProctoring } = require('../utils/proctoring');
+const { publishExamEvent } = require('../utils/liveEvents');
+const { MAX_ANSWER_PAGES, buildSubmissionFiles } = require('../utils/answerPages');
 
 const router = express.Router();
 
-// Configure multer for answer file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, `answer_${Date.now()}${path.extname(file.originalname)}`);
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF, JPG, and PNG files are allowed for answers'), false);
-    }
-  }
-});
+// Answer pages as listed with a submission; each is downloaded from /:submissionId/files/:fileId
+const formatAnswerFiles = submission => submission.answerFiles.map(file => ({
+  id: file._id,
+  filename: file.filename,
+  contentType: file.contentType,
+  size: file.size
+}));
 
 // @route   POST /api/submissions
-// @desc    Submit answer (Student only)
+// @desc    Submit answer (Student only): one answerFile, or several answerFiles
+//          pages in order
 // @access  Private (Student)
-router.post('/', verifyToken, isStudent, upload.single('answerFile'), [
+router.post('/', verifyToken, isStudent, uploadAnswer.fields([
+  { name: 'answerFile', maxCount: 1 },
+  { name: 'answerFiles', maxCount: MAX_ANSWER_PAGES }
+]), [
   body('examId').isMongoId().withMessage('Valid exam ID is required')
 ], async (req, res) => {
+  const storedKeys = [];
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -54,12 +53,20 @@ router.post('/', verifyToken, isStudent, upload.single('answerFile'), [
       });
     }
 
-    if (!req.file) {
+    const { answerFile = [], answerFiles: answerPages = [] } = req.files || {};
+    const uploads = [...answerFile, ...answerPages];
+    if (uploads.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Answer file is required'
       });
     }
+    if (uploads.length > MAX_ANSWER_PAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `An answer cannot have more than ${MAX_ANSWER_PAGES} pages`
+      });
+    }
 
     const { examId } = req.body;
 
@@ -72,6 +79,47 @@ router.post('/', verifyToken, isStudent, upload.single('answerFile'), [
       });
     }
 
+    if (exam.format === 'questions') {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam is answered question by question, not with a file'
+      });
+    }
+
+    const courseIds = await Course.idsForStudent(req.user.id);
+    if (!exam.isOpenToCourses(courseIds)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in a course this exam is assigned to'
+      });
+    }
+
+    // Submissions are accepted while the exam is open, and as late until the cutoff
+    const availability = exam.getAvailability();
+    if (availability === 'upcoming') {
+      return res.status(403).json({
+        success: false,
+        message: 'This exam has not opened yet'
+      });
+    }
+    if (availability === 'closed') {
+      // After that only from an attempt still running on its own deadline
+      const attempt = await ExamAttempt.findOne({ studentId: req.user.id, examId: exam._id });
+      if (attempt && !attempt.isCompleted) {
+        await attempt.refreshTimer(exam);
+        if (attempt.isModified()) {
+          await attempt.save();
+        }
+      }
+      if (!attempt || attempt.isCompleted || attempt.status === 'expired') {
+        return res.status(403).json({
+          success: false,
+          message: 'This exam is closed for submissions'
+        });
+      }
+    }
+    const late = availability !== 'open';
+
     // Check if student already submitted for this exam
     const existingSubmission = await Submission.findOne({
       studentId: req.user.id,
@@ -85,17 +133,40 @@ router.post('/', verifyToken, isStudent, upload.single('answerFile'), [
       });
     }
 
-    // Upload answer file to Cloudinary
-    const answerUrl = await uploadAnswerFile(req.file);
+    // Store the answer files with the configured storage backend
+    const pages = [];
+    for (const file of uploads) {
+      const key = await putFile('answers', file.path, {
+        filename: file.originalname,
+        contentType: file.mimetype,
+        metadata: { studentId: req.user.id, examId }
+      });
+      storedKeys.push(key);
+      pages.push({ key, filename: file.originalname, contentType: file.mimetype, size: file.size });
+    }
+    const { answerUrl, answerFiles, combinedKey } = await buildSubmissionFiles(pages, { studentId: req.user.id, examId });
+    if (combinedKey) storedKeys.push(combinedKey);
 
     // Create submission
     const submission = new Submission({
       studentId: req.user.id,
       examId: examId,
-      answerUrl
+      answerUrl,
+      answerFiles,
+      isLate: late,
+      status: late ? 'late' : 'submitted'
     });
 
     await submission.save();
+    storedKeys.length = 0;
+
+    publishExamEvent(exam._id, 'submission.created', {
+      submissionId: submission._id,
+      studentId: req.user.id,
+      submittedAt: submission.submittedAt,
+      status: submission.status,
+      isLate: submission.isLate
+    });
 
     // Populate submission data
     await submission.populate('studentId', 'name email');
@@ -118,13 +189,17 @@ router.post('/', verifyToken, isStudent, upload.single('answerFile'), [
             duration: submission.examId.duration
           },
           answerUrl: submission.answerUrl,
-          submittedAt: submission.submittedAt
+          answerFiles: formatAnswerFiles(submission),
+          submittedAt: submission.submittedAt,
+          status: submission.status
         }
       }
     });
 
   } catch (error) {
     console.error('Submit answer error:', error);
+    // Don't leave the stored answer behind when the submission was not saved
+    storedKeys.forEach(key => deleteFile(key).catch(deleteError => console.error('Answer file rollback error:', deleteError)));
     res.status(500).json({
       success: false,
       message: 'Server error during answer submission'
@@ -132,6 +207,558 @@ router.post('/', verifyToken, isStudent, upload.single('answerFile'), [
   }
 });
 
+// @route   GET /api/submissions/gradebook
+// @desc    Download grades across all of the teacher's exams as CSV or XLSX
+//          (?format=csv|xlsx, optional ?courseId= to limit to one course)
+// @access  Private (Teacher)
+router.get('/gradebook', verifyToken, isTeacher, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const query = { createdBy: req.user.id };
+    if (req.query.courseId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.courseId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid course ID format'
+        });
+      }
+      query.courses = req.query.courseId;
+    }
+
+    const exams = await Exam.find(query).sort({ createdAt: 1 });
+    const rows = await buildGradebookRows(exams);
+
+    await sendGradebook(res, rows, format, `gradebook_${new Date().toISOString().slice(0, 10)}`);
+
+  } catch (error) {
+    console.error('Export gradebook error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting gradebook'
+    });
+  }
+});
+
+// @route   GET /api/submissions/:examId/gradebook
+// @desc    Download the grades for one exam as CSV or XLSX (?format=csv|xlsx)
+// @access  Private (Teacher)
+router.get('/:examId/gradebook', verifyToken, isTeacher, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    // Check if exam exists and was created by this teacher
+    const exam = await Exam.findOne({
+      _id: req.params.examId,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to view its submissions'
+      });
+    }
+
+    const rows = await buildGradebookRows([exam]);
+
+    await sendGradebook(res, rows, format, `gradebook_${exam.title}`);
+
+  } catch (error) {
+    console.error('Export exam gradebook error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting gradebook'
+    });
+  }
+});
+
+// @route   GET /api/submissions/:examId/archive
+// @desc    Download every answer file of an exam as a ZIP, with a manifest.csv.
+//          Files are fetched and zipped one at a time while streaming the response.
+// @access  Private (Teacher)
+router.get('/:examId/archive', verifyToken, isTeacher, async (req, res) => {
+  try {
+    // Check if exam exists and was created by this teacher
+    const exam = await Exam.findOne({
+      _id: req.params.examId,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to view its submissions'
+      });
+    }
+
+    const submissions = await Submission.find({ examId: exam._id })
+      .populate('studentId', 'name email')
+      .sort({ submittedAt: 1 });
+
+    const safe = value => String(value).replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${safe(exam.title) || 'exam'}_answers.zip"`
+    });
+
+    archive.on('warning', (warning) => console.error('Answer archive warning:', warning));
+    archive.on('error', (error) => {
+      console.error('Answer archive error:', error);
+      res.destroy(error);
+    });
+    // Stop zipping if the client goes away mid-download
+    const clientGone = once(res, 'close').then(() => {
+      if (!res.writableFinished) archive.abort();
+    });
+    archive.pipe(res);
+
+    const manifest = [];
+    const usedNames = new Set();
+
+    for (const submission of submissions) {
+      const student = submission.studentId || { name: 'unknown', email: '' };
+      const keys = submission.getAnswerFileKeys();
+      const entry = {
+        studentName: student.name,
+        studentEmail: student.email,
+        submittedAt: submission.submittedAt.toISOString(),
+        status: submission.status,
+        file: '',
+        source: keys.join('; '),
+        note: ''
+      };
+      manifest.push(entry);
+
+      if (keys.length === 0) {
+        entry.note = 'no answer file';
+        continue;
+      }
+
+      // Pages that were not combined into one PDF are zipped one by one
+      const files = [];
+      const notes = [];
+      for (const [index, key] of keys.entries()) {
+        try {
+          const metadata = await statFile(key);
+          if (!metadata) throw new Error('File not found in storage');
+          const stream = await streamFile(key);
+          const extension = path.extname(metadata.filename || '');
+          const page = keys.length > 1 ? `_page${index + 1}` : '';
+          const base = `${safe(student.name) || 'student'}_${submission.submittedAt.toISOString().replace(/[:.]/g, '-')}${page}`;
+          let name = `${base}${extension}`;
+          for (let copy = 2; usedNames.has(name); copy++) {
+            name = `${base}_${copy}${extension}`;
+          }
+          usedNames.add(name);
+
+          // Wait for each entry so only one source stream is open at a time
+          const written = once(archive, 'entry');
+          archive.append(stream, { name: `answers/${name}`, date: submission.submittedAt });
+          await Promise.race([written, clientGone]);
+          if (res.destroyed) return stream.destroy();
+          files.push(`answers/${name}`);
+        } catch (fileError) {
+          console.error(`Answer archive file error (${submission._id}):`, fileError.message);
+          notes.push(keys.length > 1
+            ? `page ${index + 1} unavailable: ${fileError.message}`
+            : `file unavailable: ${fileError.message}`);
+        }
+      }
+      entry.file = files.join('; ');
+      entry.note = notes.join('; ');
+    }
+
+    archive.append(stringify(manifest, {
+      header: true,
+      columns: [
+        { key: 'studentName', header: 'Student name' },
+        { key: 'studentEmail', header: 'Student email' },
+        { key: 'submittedAt', header: 'Submitted at' },
+        { key: 'status', header: 'Status' },
+        { key: 'file', header: 'File' },
+        { key: 'source', header: 'Source' },
+        { key: 'note', header: 'Note' }
+      ]
+    }), { name: 'manifest.csv' });
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Answer archive error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building answer archive'
+    });
+  }
+});
+
+// @route   GET /api/submissions/:submissionId/file
+// @desc    Download the answer file of a submission (pages combined into one PDF
+//          where there are several), whichever backend stores it
+// @access  Private (Student who submitted, teacher who owns the exam, Admin)
+router.get('/:submissionId/file', verifyToken, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.submissionId).populate('examId', 'createdBy');
+    if (!submission || !submission.examId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const { role, id } = req.user;
+    const allowed = role === 'admin'
+      || (role === 'student' && submission.studentId.toString() === id)
+      || (role === 'teacher' && submission.examId.createdBy.toString() === id);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this submission'
+      });
+    }
+
+    const metadata = submission.answerUrl && await statFile(submission.answerUrl);
+    if (!metadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer file not found'
+      });
+    }
+
+    await sendStoredFile(req, res, submission.answerUrl, metadata);
+
+  } catch (error) {
+    console.error('Get answer file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching answer file'
+    });
+  }
+});
+
+// @route   GET /api/submissions/:submissionId/files/:fileId
+// @desc    Download one page of a multi-page answer
+// @access  Private (Student who submitted, teacher who owns the exam, Admin)
+router.get('/:submissionId/files/:fileId', verifyToken, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.submissionId).populate('examId', 'createdBy');
+    if (!submission || !submission.examId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const { role, id } = req.user;
+    const allowed = role === 'admin'
+      || (role === 'student' && submission.studentId.toString() === id)
+      || (role === 'teacher' && submission.examId.createdBy.toString() === id);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this submission'
+      });
+    }
+
+    const page = submission.answerFiles.id(req.params.fileId);
+    const metadata = page && await statFile(page.key);
+    if (!metadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer page not found'
+      });
+    }
+
+    await sendStoredFile(req, res, page.key, metadata);
+
+  } catch (error) {
+    console.error('Get answer page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching answer page'
+    });
+  }
+});
+
+// @route   GET /api/submissions/my-results
+// @desc    Get the student's own graded submissions for exams whose grades are released
+// @access  Private (Student)
+router.get('/my-results', verifyToken, isStudent, async (req, res) => {
+  try {
+    const submissions = await Submission.find({
+      studentId: req.user.id,
+      status: 'graded'
+    })
+      .populate('examId', 'title duration format gradesReleasedAt')
+      .sort({ submittedAt: -1 });
+
+    // Hide results until the teacher releases grades for the exam
+    const released = submissions.filter(submission =>
+      submission.examId && submission.examId.gradesReleasedAt
+    );
+
+    res.json({
+      success: true,
+      data: {
+        results: released.map(submission => ({
+          id: submission._id,
+          exam: {
+            id: submission.examId._id,
+            title: submission.examId.title,
+            duration: submission.examId.duration,
+            format: submission.examId.format
+          },
+          answerUrl: submission.answerUrl,
+          answerFiles: formatAnswerFiles(submission),
+          answers: submission.answers,
+          score: submission.score,
+          maxScore: submission.maxScore,
+          rubricScores: submission.rubricScores,
+          feedback: submission.feedback,
+          isLate: submission.isLate,
+          submittedAt: submission.submittedAt,
+          gradedAt: submission.gradedAt,
+          releasedAt: submission.examId.gradesReleasedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching results'
+    });
+  }
+});
+
+// @route   PUT /api/submissions/:submissionId/grade
+// @desc    Record a score and feedback for a submission (Teacher only, must own the exam)
+// @access  Private (Teacher)
+router.put('/:submissionId/grade', verifyToken, isTeacher, [
+  body('score').isFloat({ min: 0 }).withMessage('Score must be a non-negative number'),
+  body('maxScore').optional().isFloat({ gt: 0 }).withMessage('Max score must be a positive number'),
+  body('feedback').optional().isString().isLength({ max: 5000 }).withMessage('Feedback cannot be more than 5000 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const submission = await Submission.findById(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    // Check the submission belongs to an exam created by this teacher
+    const exam = await Exam.findOne({
+      _id: submission.examId,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found or you do not have permission to grade it'
+      });
+    }
+
+    const { score, maxScore, feedback } = req.body;
+
+    if (maxScore !== undefined) {
+      submission.maxScore = parseFloat(maxScore);
+    }
+    if (submission.maxScore == null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Max score is required the first time a submission is graded'
+      });
+    }
+
+    submission.score = parseFloat(score);
+    if (feedback !== undefined) {
+      submission.feedback = feedback;
+    }
+    submission.isLate = submission.isLate || submission.status === 'late';
+    submission.status = 'graded';
+    submission.gradedBy = req.user.id;
+    submission.gradedAt = new Date();
+
+    await submission.save();
+
+    res.json({
+      success: true,
+      message: 'Submission graded successfully',
+      data: {
+        submission: {
+          id: submission._id,
+          score: submission.score,
+          maxScore: submission.maxScore,
+          feedback: submission.feedback,
+          gradedBy: submission.gradedBy,
+          gradedAt: submission.gradedAt,
+          isLate: submission.isLate,
+          status: submission.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while grading submission'
+    });
+  }
+});
+
+// @route   PUT /api/submissions/:submissionId/rubric
+// @desc    Grade a submission against its exam's rubric (Teacher only, must own the exam).
+//          The score is the sum of the chosen levels.
+// @access  Private (Teacher)
+router.put('/:submissionId/rubric', verifyToken, isTeacher, [
+  body('criteria').isArray({ min: 1 }).withMessage('A level must be chosen for each criterion'),
+  body('criteria.*.criterionId').isMongoId().withMessage('Each entry needs a valid criterion ID'),
+  body('criteria.*.levelId').isMongoId().withMessage('Each entry needs a valid level ID'),
+  body('criteria.*.comment').optional().isString().isLength({ max: 2000 }).withMessage('Comments cannot be more than 2000 characters'),
+  body('feedback').optional().isString().isLength({ max: 5000 }).withMessage('Feedback cannot be more than 5000 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const submission = await Submission.findById(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    // Check the submission belongs to an exam created by this teacher
+    const exam = await Exam.findOne({
+      _id: submission.examId,
+      createdBy: req.user.id
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found or you do not have permission to grade it'
+      });
+    }
+
+    if (!exam.rubric || exam.rubric.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam has no rubric'
+      });
+    }
+
+    const chosen = new Map(req.body.criteria.map(entry => [entry.criterionId, entry]));
+    const rubricScores = [];
+
+    for (const criterion of exam.rubric) {
+      const entry = chosen.get(criterion._id.toString());
+      const level = entry && criterion.levels.id(entry.levelId);
+      if (!level) {
+        return res.status(400).json({
+          success: false,
+          message: `Choose a valid level for criterion "${criterion.title}"`
+        });
+      }
+
+      rubricScores.push({
+        criterionId: criterion._id,
+        criterionTitle: criterion.title,
+        levelId: level._id,
+        levelLabel: level.label,
+        points: level.points,
+        maxPoints: Math.max(...criterion.levels.map(option => option.points)),
+        comment: entry.comment || ''
+      });
+    }
+
+    submission.rubricScores = rubricScores;
+    submission.score = rubricScores.reduce((sum, result) => sum + result.points, 0);
+    submission.maxScore = exam.getRubricMaxScore();
+    if (req.body.feedback !== undefined) {
+      submission.feedback = req.body.feedback;
+    }
+    submission.isLate = submission.isLate || submission.status === 'late';
+    submission.status = 'graded';
+    submission.gradedBy = req.user.id;
+    submission.gradedAt = new Date();
+
+    await submission.save();
+
+    res.json({
+      success: true,
+      message: 'Submission graded successfully',
+      data: {
+        submission: {
+          id: submission._id,
+          rubricScores: submission.rubricScores,
+          score: submission.score,
+          maxScore: submission.maxScore,
+          feedback: submission.feedback,
+          gradedBy: submission.gradedBy,
+          gradedAt: submission.gradedAt,
+          isLate: submission.isLate,
+          status: submission.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Rubric grade submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while grading submission'
+    });
+  }
+});
+
 // @route   GET /api/submissions/:examId
 // @desc    Get all submissions for an exam (Teacher only)
 // @access  Private (Teacher)
@@ -158,26 +785,66 @@ router.get('/:examId', verifyToken, isTeacher, async (req, res) => {
       .populate('examId', 'title duration')
       .sort({ submittedAt: -1 });
 
+    // Attempts carry the accommodation, extra time and proctoring record of each student
+    const attempts = await ExamAttempt.find({ examId });
+    const attemptsByStudent = new Map(attempts.map(attempt => [attempt.studentId.toString(), attempt]));
+
     res.json({
       success: true,
       data: {
         exam: {
           id: exam._id,
           title: exam.title,
+          format: exam.format,
           duration: exam.duration,
+          rubric: exam.rubric || [],
+          rubricMaxScore: exam.getRubricMaxScore(),
+          gradesReleasedAt: exam.gradesReleasedAt,
           createdAt: exam.createdAt
         },
-        submissions: submissions.map(submission => ({
-          id: submission._id,
-          student: {
-            id: submission.studentId._id,
-            name: submission.studentId.name,
-            email: submission.studentId.email
-          },
-          answerUrl: submission.answerUrl,
-          submittedAt: submission.submittedAt,
-          status: submission.status
-        }))
+        submissions: submissions.map(submission => {
+          const attempt = attemptsByStudent.get(submission.studentId._id.toString());
+          return {
+            id: submission._id,
+            student: {
+              id: submission.studentId._id,
+              name: submission.studentId.name,
+              email: submission.studentId.email
+            },
+            accommodation: attempt && attempt.accommodation && attempt.accommodation.accommodationId
+              ? {
+                  timeMultiplier: attempt.accommodation.timeMultiplier,
+                  extraMinutes: attempt.accommodation.extraMinutes
+                }
+              : null,
+            extensions: attempt ? attempt.extensions : [],
+            attemptId: attempt ? attempt._id : null,
+            proctoring: attempt ? summarizeProctoring(attempt) : null,
+            clarifications: exam.clarifications
+              .filter(clarification => clarification.studentId.toString() === submission.studentId._id.toString())
+              .map(clarification => ({
+                id: clarification._id,
+                question: clarification.question,
+                askedAt: clarification.askedAt,
+                answer: clarification.answer || null,
+                answeredAt: clarification.answeredAt || null,
+                visibility: clarification.visibility
+              })),
+            answerUrl: submission.answerUrl,
+            answerFiles: formatAnswerFiles(submission),
+            answers: submission.answers,
+            score: submission.score,
+            maxScore: submission.maxScore,
+            autoGraded: submission.autoGraded,
+            rubricScores: submission.rubricScores,
+            feedback: submission.feedback,
+            gradedBy: submission.gradedBy,
+            gradedAt: submission.gradedAt,
+            isLate: submission.isLate || submission.status === 'late',
+            submittedAt: submission.submittedAt,
+            status: submission.status
+          };
+        })
       }
     });
 
@@ -245,6 +912,7 @@ router.get('/', verifyToken, async (req, res) => {
             }
           },
           answerUrl: submission.answerUrl,
+          answerFiles: formatAnswerFiles(submission),
           submittedAt: submission.submittedAt,
           status: submission.status
         }))
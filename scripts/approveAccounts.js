@@ -0,0 +1,63 @@
+// Rollout step for account approvals: teacher and admin accounts created before
+// approvals existed have no approval status and cannot log in until approved.
+// Run after deploying for each account that should keep working; there is no
+// bulk option, so every privileged account is approved by name.
+// Usage: npm run approve-accounts -- --list
+//        npm run approve-accounts -- --email jane@example.com [--email ...] [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const { listLegacyAccounts, approveLegacyAccounts } = require('../utils/adminBootstrap');
+
+const readArgs = (name) => process.argv
+  .map((arg, index) => (arg === `--${name}` ? process.argv[index + 1] : undefined))
+  .filter(Boolean);
+
+const run = async () => {
+  const emails = readArgs('email');
+  const list = process.argv.includes('--list');
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (process.argv.includes('--all-existing')) {
+    console.error('❌ Bulk approval is not supported; approve each teacher and admin with --email');
+    process.exit(1);
+  }
+  if (!list && emails.length === 0) {
+    console.error('Usage: npm run approve-accounts -- (--list | --email <email> [--email <email> ...] [--dry-run])');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    if (list) {
+      const accounts = await listLegacyAccounts();
+      for (const account of accounts) {
+        console.log(`${account.role}\t${account.email}\t${account.name}\t${account.createdAt ? account.createdAt.toISOString() : ''}`);
+      }
+      console.log(`✅ ${accounts.length} accounts awaiting approval`);
+      return;
+    }
+
+    const accounts = await approveLegacyAccounts({ emails, dryRun });
+    for (const account of accounts) {
+      console.log(`${account.role}\t${account.email}\t${account.name}\t${dryRun ? 'would approve' : 'approved'}`);
+    }
+    console.log(dryRun
+      ? `✅ ${accounts.length} accounts would be approved`
+      : `✅ Approved ${accounts.length} accounts`);
+
+    const found = new Set(accounts.map(account => account.email));
+    const missing = emails.map(email => email.toLowerCase()).filter(email => !found.has(email));
+    if (missing.length > 0) {
+      console.warn(`⚠️  No unapproved legacy account for: ${missing.join(', ')}`);
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Account approval failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+// Find stored files no exam or submission refers to. Only lists them unless
+// --delete is given.
+// Usage: npm run cleanup-files -- [--delete]
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const { purgeOrphanedFiles } = require('../jobs/orphanedFiles');
+
+const run = async () => {
+  const dryRun = !process.argv.includes('--delete');
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const report = await purgeOrphanedFiles({ dryRun });
+    for (const file of report.files) {
+      const outcome = dryRun ? 'would delete' : (file.deleted ? 'deleted' : `failed: ${file.error}`);
+      console.log(`${file.location}\t${file.key}\t${file.size} bytes\t${new Date(file.uploadedAt).toISOString()}\t${outcome}`);
+    }
+    console.log(dryRun
+      ? `✅ ${report.files.length} orphaned files (${report.totalBytes} bytes) older than ${report.graceHours}h would be removed`
+      : `✅ Removed ${report.deleted} orphaned files (${report.failed} failed)`);
+    if (report.failed > 0) process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Orphaned file cleanup failed:', error);
+  process.exit(1);
+});
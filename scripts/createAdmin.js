@@ -0,0 +1,39 @@
+// One-time setup: create the first administrator account.
+// Usage: npm run create-admin -- --name "Jane Doe" --email jane@example.com --password secret123
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const { bootstrapAdmin } = require('../utils/adminBootstrap');
+
+const readArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const run = async () => {
+  const name = readArg('name');
+  const email = readArg('email');
+  const password = readArg('password');
+
+  if (!name || !email || !password) {
+    console.error('Usage: npm run create-admin -- --name <name> --email <email> --password <password>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const admin = await bootstrapAdmin({ name, email, password });
+    console.log(`✅ Administrator ${admin.email} is ready`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Admin setup failed:', error);
+  process.exit(1);
+});
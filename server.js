@@ -9,10 +9,24 @@ const authRoutes = require('./routes/auth');
 const examRoutes = require('./routes/exams');
 const submissionRoutes = require('./routes/submissions');
 const examAttemptRoutes = require('./routes/examAttempts');
+const courseRoutes = require('./routes/courses');
+const accommodationRoutes = require('./routes/accommodations');
+const adminRoutes = require('./routes/admin');
+const studentRoutes = require('./routes/students');
+
+// Import upload housekeeping
+const { cleanupTempUploads } = require('./middleware/cleanupUploads');
 
 // Import GridFS configuration
 const { initGridFS } = require('./config/gridfs');
 
+// Import account checks
+const { countLegacyAccounts } = require('./utils/adminBootstrap');
+
+// Import background jobs
+const { startAttemptExpiryJob, stopAttemptExpiryJob } = require('./jobs/attemptExpiry');
+const { startOrphanedFileJob, stopOrphanedFileJob } = require('./jobs/orphanedFiles');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -38,6 +52,7 @@ const findAvailablePort = (port) => {
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cleanupTempUploads);
 
 // Create uploads directory if it doesn't exist
 const fs = require('fs');
@@ -54,6 +69,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/exams', examRoutes);
 app.use('/api/submissions', submissionRoutes);
 app.use('/api/exam-attempts', examAttemptRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/accommodations', accommodationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/students', studentRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -75,6 +94,13 @@ app.use((err, req, res, next) => {
     });
   }
   
+  if (err.message.includes('Only CSV files are allowed')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only CSV files are allowed for imports.'
+    });
+  }
+  
   if (err.message.includes('Only PDF, JPG, and PNG files are allowed for exam uploads')) {
     return res.status(400).json({
       success: false,
@@ -119,6 +145,23 @@ mongoose.connect(process.env.MONGO_URI, {
     console.error('❌ GridFS initialization error:', error);
     process.exit(1);
   }
+
+  // Accounts from before approvals existed cannot log in until approved once
+  try {
+    const legacy = await countLegacyAccounts();
+    if (legacy.teachers + legacy.admins > 0) {
+      console.warn(`⚠️  ${legacy.teachers} teacher and ${legacy.admins} admin accounts predate approvals and are locked out.`);
+      console.warn('   Review them with: npm run approve-accounts -- --list, then approve each with --email <address>');
+    }
+  } catch (error) {
+    console.error('❌ Legacy account check error:', error);
+  }
+
+  // Expire attempts whose time has run out and auto-submit their drafts
+  startAttemptExpiryJob();
+
+  // Purge stored files no exam or submission refers to any more
+  startOrphanedFileJob();
   
   // Find available port and start server
   try {
@@ -141,6 +184,8 @@ mongoose.connect(process.env.MONGO_URI, {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
+  stopAttemptExpiryJob();
+  stopOrphanedFileJob();
   await mongoose.connection.close();
   console.log('✅ MongoDB connection closed');
   process.exit(0);
@@ -0,0 +1,119 @@
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const crypto = require('crypto');
+const { cloudinary } = require('../config/cloudinary');
+
+// Keys are the delivery URLs Cloudinary returns, which is also what older
+// submissions stored in answerUrl. Any other http(s) URL is readable but not deletable.
+const MAX_REDIRECTS = 3;
+
+// Longest a remote request may sit idle, waiting for the response or mid-body,
+// before it is abandoned so downloads, archives and page combining cannot hang
+const REQUEST_TIMEOUT_MS = parseInt(process.env.REMOTE_FILE_TIMEOUT_MS, 10) || 30 * 1000;
+
+const owns = key => /^https?:\/\//.test(String(key));
+
+const request = (url, { method = 'GET', headers = {} } = {}, redirects = 0) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const req = client.request(url, { method, headers }, (response) => {
+    if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location && redirects < MAX_REDIRECTS) {
+      response.resume();
+      resolve(request(new URL(response.headers.location, url).toString(), { method, headers }, redirects + 1));
+      return;
+    }
+    resolve(response);
+  });
+  req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+    req.destroy(new Error(`Remote file request timed out after ${REQUEST_TIMEOUT_MS} ms`));
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+const put = (source, { folder, filename }) => new Promise((resolve, reject) => {
+  const options = {
+    folder: `exam-tester/${folder}`,
+    // Random suffix: pages stored in a tight loop must not replace each other
+    public_id: `${folder.replace(/s$/, '')}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
+    resource_type: 'auto', // Auto-detect file type
+    type: 'upload',
+    access_mode: 'public',
+    filename_override: filename
+  };
+  const done = (error, result) => {
+    if (error) return reject(new Error(`Cloudinary upload failed: ${error.message}`));
+    resolve(result.secure_url);
+  };
+
+  if (Buffer.isBuffer(source)) {
+    cloudinary.uploader.upload_stream(options, done).end(source);
+  } else {
+    cloudinary.uploader.upload(source, options, done);
+  }
+});
+
+const stat = async (key) => {
+  const response = await request(key, { method: 'HEAD' });
+  response.resume();
+  if (response.statusCode === 404) return null;
+  if (response.statusCode !== 200) {
+    throw new Error(`Remote file responded with ${response.statusCode}`);
+  }
+
+  return {
+    size: response.headers['content-length'] ? parseInt(response.headers['content-length'], 10) : undefined,
+    contentType: (response.headers['content-type'] || 'application/octet-stream').split(';')[0],
+    filename: path.basename(new URL(key).pathname),
+    uploadedAt: response.headers['last-modified'] ? new Date(response.headers['last-modified']) : undefined
+  };
+};
+
+const stream = async (key, { start, end } = {}) => {
+  const ranged = start !== undefined || end !== undefined;
+  const headers = ranged ? { Range: `bytes=${start || 0}-${end === undefined ? '' : end}` } : {};
+  const response = await request(key, { headers });
+
+  if (response.statusCode !== 200 && response.statusCode !== 206) {
+    response.resume();
+    throw new Error(`Remote file responded with ${response.statusCode}`);
+  }
+  if (ranged && response.statusCode !== 206) {
+    response.destroy();
+    throw new Error('Remote file does not support range requests');
+  }
+  return response;
+};
+
+// https://res.cloudinary.com/<cloud>/<resource_type>/upload/[v123/]<public_id>.<ext>
+const parseDeliveryUrl = (key) => {
+  const url = new URL(key);
+  if (url.hostname !== 'res.cloudinary.com') return null;
+  const match = url.pathname.match(/^\/[^/]+\/(image|video|raw)\/upload\/(?:[^/]*,[^/]*\/)*(?:v\d+\/)?(.+)$/);
+  if (!match) return null;
+
+  const [, resourceType, rest] = match;
+  const publicId = resourceType === 'raw' ? rest : rest.replace(/\.[^/.]+$/, '');
+  return { resourceType, publicId: decodeURIComponent(publicId) };
+};
+
+const remove = async (key) => {
+  const asset = parseDeliveryUrl(key);
+  if (!asset) {
+    throw new Error('Only Cloudinary delivery URLs can be deleted');
+  }
+  const result = await cloudinary.uploader.destroy(asset.publicId, {
+    resource_type: asset.resourceType,
+    invalidate: true
+  });
+  return result.result === 'ok';
+};
+
+module.exports = {
+  name: 'cloudinary',
+  owns,
+  put,
+  stat,
+  stream,
+  delete: remove
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+// Keys look like "gridfs:<bucket>/<id>". Bare ObjectIds are exam papers
+// uploaded before storage was pluggable and live in the "exams" bucket.
+const PREFIX = 'gridfs:';
+const LEGACY_BUCKET = 'exams';
+
+const buckets = new Map();
+
+const getBucket = (bucketName) => {
+  const { db } = mongoose.connection;
+  if (!db) throw new Error('GridFS not initialized');
+  if (!buckets.has(bucketName)) {
+    buckets.set(bucketName, new mongoose.mongo.GridFSBucket(db, { bucketName }));
+  }
+  return buckets.get(bucketName);
+};
+
+const parseKey = (key) => {
+  const ref = String(key);
+  if (/^[a-f0-9]{24}$/i.test(ref)) {
+    return { bucket: getBucket(LEGACY_BUCKET), id: new mongoose.Types.ObjectId(ref) };
+  }
+  const [bucketName, id] = ref.slice(PREFIX.length).split('/');
+  if (!bucketName || !/^[a-f0-9]{24}$/i.test(id || '')) {
+    throw new Error(`Invalid GridFS key "${ref}"`);
+  }
+  return { bucket: getBucket(bucketName), id: new mongoose.Types.ObjectId(id) };
+};
+
+const owns = key => String(key).startsWith(PREFIX) || /^[a-f0-9]{24}$/i.test(String(key));
+
+const put = (source, { folder, filename, contentType, metadata = {} }) => new Promise((resolve, reject) => {
+  const bucket = getBucket(folder);
+  const upload = bucket.openUploadStream(filename, {
+    contentType,
+    metadata: { ...metadata, contentType }
+  });
+
+  upload.on('error', reject);
+  upload.on('finish', () => resolve(`${PREFIX}${folder}/${upload.id}`));
+
+  if (Buffer.isBuffer(source)) {
+    upload.end(source);
+  } else {
+    fs.createReadStream(source).on('error', reject).pipe(upload);
+  }
+});
+
+const stat = async (key) => {
+  const { bucket, id } = parseKey(key);
+  const [file] = await bucket.find({ _id: id }).toArray();
+  if (!file) return null;
+
+  return {
+    size: file.length,
+    contentType: file.contentType || (file.metadata && file.metadata.contentType) || 'application/octet-stream',
+    filename: file.filename,
+    uploadedAt: file.uploadDate
+  };
+};
+
+// GridFS ranges are end-exclusive; callers pass inclusive HTTP-style ranges
+const stream = async (key, { start, end } = {}) => {
+  const { bucket, id } = parseKey(key);
+  const options = {};
+  if (start !== undefined) options.start = start;
+  if (end !== undefined) options.end = end + 1;
+  return bucket.openDownloadStream(id, options);
+};
+
+const remove = async (key) => {
+  const { bucket, id } = parseKey(key);
+  try {
+    await bucket.delete(id);
+    return true;
+  } catch (error) {
+    if (/FileNotFound|File not found/i.test(error.message)) return false;
+    throw error;
+  }
+};
+
+// Every file in the folder's bucket, for housekeeping
+const list = async (folder) => {
+  const files = await getBucket(folder).find({}, { projection: { length: 1, uploadDate: 1 } }).toArray();
+  return files.map(file => ({
+    key: `${PREFIX}${folder}/${file._id}`,
+    size: file.length,
+    uploadedAt: file.uploadDate
+  }));
+};
+
+module.exports = {
+  name: 'gridfs',
+  owns,
+  put,
+  stat,
+  stream,
+  delete: remove,
+  list
+};
@@ -0,0 +1,78 @@
+const gridfsAdapter = require('./gridfsAdapter');
+const localAdapter = require('./localAdapter');
+const cloudinaryAdapter = require('./cloudinaryAdapter');
+
+// File storage shared by exam papers and answer files.
+//
+// New files go to the backend configured for their kind:
+//   EXAM_FILE_STORAGE / ANSWER_FILE_STORAGE / WATERMARK_FILE_STORAGE, falling back
+//   to FILE_STORAGE, then to where each kind has always lived (exams: gridfs,
+//   answers: cloudinary; watermarked copies: gridfs).
+// Stored files are addressed by the key put() returns, and reads, stats and
+// deletes are routed to whichever adapter recognises that key, so files written
+// under a previous configuration stay readable.
+const adapters = {
+  gridfs: gridfsAdapter,
+  local: localAdapter,
+  cloudinary: cloudinaryAdapter
+};
+
+const DEFAULT_BACKENDS = {
+  exams: 'gridfs',
+  answers: 'cloudinary',
+  watermarks: 'gridfs'
+};
+
+const getBackend = (kind) => {
+  const name = process.env[`${kind.replace(/s$/, '').toUpperCase()}_FILE_STORAGE`]
+    || process.env.FILE_STORAGE
+    || DEFAULT_BACKENDS[kind];
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown file storage backend "${name}" for ${kind}`);
+  }
+  return adapter;
+};
+
+const adapterFor = (key) => {
+  const adapter = key && Object.values(adapters).find(candidate => candidate.owns(key));
+  if (!adapter) {
+    throw new Error(`No file storage backend recognises "${key}"`);
+  }
+  return adapter;
+};
+
+// Store a file. `source` is a path on disk (e.g. a multer upload) or a Buffer.
+// Resolves to the key to persist on the owning document.
+const putFile = (kind, source, options = {}) => getBackend(kind).put(source, { ...options, folder: kind });
+
+// Metadata ({ size, contentType, filename, uploadedAt }) or null when missing
+const statFile = key => adapterFor(key).stat(key);
+
+// Readable stream of the file, optionally an inclusive byte range
+const streamFile = (key, range) => adapterFor(key).stream(key, range);
+
+const getFile = async (key) => {
+  const chunks = [];
+  for await (const chunk of await streamFile(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Resolves true if a file was removed, false if it was already gone
+const deleteFile = key => adapterFor(key).delete(key);
+
+// Backends that can enumerate their files, so unreferenced ones can be found.
+// Cloudinary is left out: listing it needs the Admin API and its own quota.
+const listableBackends = () => Object.values(adapters).filter(adapter => adapter.list);
+
+module.exports = {
+  putFile,
+  getFile,
+  streamFile,
+  statFile,
+  deleteFile,
+  getBackend,
+  listableBackends
+};
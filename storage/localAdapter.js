@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keys look like "local:<folder>/<filename>", relative to LOCAL_STORAGE_DIR
+const PREFIX = 'local:';
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.csv': 'text/csv'
+};
+
+const getRoot = () => path.resolve(process.env.LOCAL_STORAGE_DIR || 'file-storage');
+
+const resolvePath = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, String(key).slice(PREFIX.length));
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid local storage key "${key}"`);
+  }
+  return filePath;
+};
+
+const owns = key => String(key).startsWith(PREFIX);
+
+const put = async (source, { folder, filename }) => {
+  const safeName = path.basename(filename || 'file').replace(/[^\w.-]+/g, '_');
+  const relative = `${folder}/${Date.now()}_${crypto.randomBytes(4).toString('hex')}_${safeName}`;
+  const key = `${PREFIX}${relative}`;
+  const filePath = resolvePath(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  if (Buffer.isBuffer(source)) {
+    await fs.promises.writeFile(filePath, source);
+  } else {
+    await fs.promises.copyFile(source, filePath);
+  }
+  return key;
+};
+
+const stat = async (key) => {
+  const filePath = resolvePath(key);
+  try {
+    const stats = await fs.promises.stat(filePath);
+    return {
+      size: stats.size,
+      contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      filename: path.basename(filePath),
+      uploadedAt: stats.mtime
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const stream = async (key, { start, end } = {}) => {
+  const filePath = resolvePath(key);
+  // Fail before handing out a stream so callers can still answer 404
+  await fs.promises.access(filePath, fs.constants.R_OK);
+  return fs.createReadStream(filePath, { start, end });
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolvePath(key));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+// Every file in the folder, for housekeeping
+const list = async (folder) => {
+  const dir = path.join(getRoot(), folder);
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const name of names) {
+    const stats = await fs.promises.stat(path.join(dir, name));
+    if (stats.isFile()) {
+      files.push({ key: `${PREFIX}${folder}/${name}`, size: stats.size, uploadedAt: stats.mtime });
+    }
+  }
+  return files;
+};
+
+module.exports = {
+  name: 'local',
+  owns,
+  put,
+  stat,
+  stream,
+  delete: remove,
+  list
+};
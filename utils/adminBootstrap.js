@@ -0,0 +1,75 @@
+const Admin = require('../models/Admin');
+const Teacher = require('../models/Teacher');
+
+// Teacher and admin accounts from before approvals existed have no approvalStatus
+// and are locked out until approved
+const LEGACY_CONDITIONS = { approvalStatus: { $exists: false } };
+
+// Create (or approve an existing account as) the first administrator.
+// Refuses once any approved admin exists, so it can only be used once.
+const bootstrapAdmin = async ({ name, email, password }) => {
+  const existingAdmin = await Admin.exists({ approvalStatus: 'approved' });
+  if (existingAdmin) {
+    const error = new Error('An administrator already exists. Use an invitation instead.');
+    error.status = 409;
+    throw error;
+  }
+
+  let admin = await Admin.findOne({ email: email.toLowerCase() });
+  if (!admin) {
+    admin = new Admin({ name, email });
+  }
+
+  admin.password = password;
+  admin.approvalStatus = 'approved';
+  admin.emailVerified = true;
+  admin.emailVerifiedAt = new Date();
+  await admin.save();
+
+  return admin;
+};
+
+// Accounts still waiting for the one-off approval after upgrading, by role
+const countLegacyAccounts = async () => {
+  const [teachers, admins] = await Promise.all([
+    Teacher.countDocuments(LEGACY_CONDITIONS),
+    Admin.countDocuments(LEGACY_CONDITIONS)
+  ]);
+  return { teachers, admins };
+};
+
+// Legacy teacher and admin accounts, oldest first, so admins can review them
+const listLegacyAccounts = async () => {
+  const accounts = [];
+  for (const [role, Model] of [['teacher', Teacher], ['admin', Admin]]) {
+    const users = await Model.find(LEGACY_CONDITIONS).select('name email createdAt').sort({ createdAt: 1 });
+    accounts.push(...users.map(user => ({ role, id: user._id, name: user.name, email: user.email, createdAt: user.createdAt })));
+  }
+  return accounts;
+};
+
+// Approve the legacy accounts with the given emails. Privileged accounts are
+// only ever approved one by one, never in bulk. Accounts that were rejected or
+// are pending a decision are left alone. Returns the matched accounts; with
+// dryRun nothing is changed.
+const approveLegacyAccounts = async ({ emails = [], dryRun = false }) => {
+  const conditions = { ...LEGACY_CONDITIONS, email: { $in: emails.map(email => email.toLowerCase()) } };
+
+  const accounts = [];
+  for (const [role, Model] of [['teacher', Teacher], ['admin', Admin]]) {
+    const users = await Model.find(conditions).select('name email createdAt');
+    accounts.push(...users.map(user => ({ role, id: user._id, name: user.name, email: user.email, createdAt: user.createdAt })));
+    if (!dryRun && users.length > 0) {
+      await Model.updateMany({ ...LEGACY_CONDITIONS, _id: { $in: users.map(user => user._id) } }, { approvalStatus: 'approved' });
+    }
+  }
+
+  return accounts;
+};
+
+module.exports = {
+  bootstrapAdmin,
+  countLegacyAccounts,
+  listLegacyAccounts,
+  approveLegacyAccounts
+};
@@ -0,0 +1,86 @@
+const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
+const { putFile, getFile } = require('../storage');
+
+// Most pages a single answer may have
+const MAX_ANSWER_PAGES = 20;
+
+// Answers of several pages are also combined into one PDF for teachers, unless disabled
+const COMBINE_PAGES = process.env.COMBINE_ANSWER_PAGES !== 'false';
+
+// A4 in PDF points; photographed pages are scaled to fit it
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MAX_IMAGE_PIXELS = 2000;
+
+const isPdf = buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+
+// Every page of every file, in order, as one PDF. PDFs are copied page by page;
+// images get a page each, upright and scaled to fit.
+const combineAnswerPages = async (keys) => {
+  const pdf = await PDFDocument.create();
+
+  for (const key of keys) {
+    const buffer = await getFile(key);
+
+    if (isPdf(buffer)) {
+      const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+      const pages = await pdf.copyPages(source, source.getPageIndices());
+      pages.forEach(page => pdf.addPage(page));
+      continue;
+    }
+
+    // Apply EXIF orientation first so phone photos are not sideways
+    const jpeg = await sharp(buffer)
+      .rotate()
+      .resize({ width: MAX_IMAGE_PIXELS, height: MAX_IMAGE_PIXELS, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+    const image = await pdf.embedJpg(jpeg);
+    const [width, height] = image.width > image.height ? [PAGE_HEIGHT, PAGE_WIDTH] : [PAGE_WIDTH, PAGE_HEIGHT];
+    const scale = Math.min(width / image.width, height / image.height);
+    const page = pdf.addPage([width, height]);
+    page.drawImage(image, {
+      x: (width - image.width * scale) / 2,
+      y: (height - image.height * scale) / 2,
+      width: image.width * scale,
+      height: image.height * scale
+    });
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+// The ordered pages of a submission and its answerUrl: the only page, or all
+// pages combined into one PDF. If combining fails the first page is used and
+// the pages are still all kept. combinedKey is the PDF stored here, if any, for
+// callers to delete when the submission is not saved.
+const buildSubmissionFiles = async (files, { studentId, examId }) => {
+  const answerFiles = files.map(({ key, filename, contentType, size, uploadedAt }) =>
+    ({ key, filename, contentType, size, uploadedAt }));
+  let answerUrl = answerFiles[0].key;
+  let combinedKey = null;
+
+  if (COMBINE_PAGES && answerFiles.length > 1) {
+    try {
+      const combined = await combineAnswerPages(answerFiles.map(file => file.key));
+      combinedKey = await putFile('answers', combined, {
+        filename: 'answers.pdf',
+        contentType: 'application/pdf',
+        metadata: { studentId, examId, combined: true }
+      });
+      answerUrl = combinedKey;
+    } catch (error) {
+      console.error('Combine answer pages error:', error);
+    }
+  }
+
+  return { answerUrl, answerFiles, combinedKey };
+};
+
+module.exports = {
+  MAX_ANSWER_PAGES,
+  combineAnswerPages,
+  buildSubmissionFiles
+};
@@ -0,0 +1,65 @@
+const AuthToken = require('../models/AuthToken');
+const { sendMail } = require('../config/mail');
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFICATION_TOKEN_TTL_MINUTES = 24 * 60;
+const ACCOUNT_SETUP_TOKEN_TTL_MINUTES = 7 * 24 * 60;
+
+// Links point at the frontend, which posts the token back to the API
+const appUrl = (pathname, params) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const sendVerificationEmail = async (user, role) => {
+  const token = await AuthToken.issue(user._id, role, 'email_verification', VERIFICATION_TOKEN_TTL_MINUTES);
+  const link = appUrl('/verify-email', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Exam Tester email',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user, role) => {
+  const token = await AuthToken.issue(user._id, role, 'password_reset', RESET_TOKEN_TTL_MINUTES);
+  const link = appUrl('/reset-password', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Exam Tester password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour and can only be used once. If you did not ask for a reset, ignore this email.`
+  });
+};
+
+// Imported accounts get a link to choose their own password instead of a temporary one
+const sendAccountSetupEmail = async (user, role) => {
+  const token = await AuthToken.issue(user._id, role, 'password_reset', ACCOUNT_SETUP_TOKEN_TTL_MINUTES);
+  const link = appUrl('/reset-password', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your Exam Tester account is ready',
+    text: `Hi ${user.name},\n\nAn account has been created for you on Exam Tester. Choose your password with this link:\n${link}\n\nThe link expires in 7 days and can only be used once.`
+  });
+};
+
+const sendInvitationEmail = async (invitation, token, inviter, ttlHours) => {
+  const link = appUrl('/accept-invitation', { token });
+
+  await sendMail({
+    to: invitation.email,
+    subject: `You are invited to join Exam Tester as ${invitation.role === 'admin' ? 'an admin' : 'a teacher'}`,
+    text: `${inviter.name} invited you to Exam Tester.\n\nCreate your account with this link:\n${link}\n\nThe link expires in ${ttlHours} hours and can only be used once.`
+  });
+};
+
+module.exports = {
+  appUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountSetupEmail,
+  sendInvitationEmail
+};
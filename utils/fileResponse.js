@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { streamFile } = require('../storage');
+
+// Stored files never change under the same key, so key, size and upload time
+// identify the content well enough for a strong validator.
+const buildETag = (key, metadata) => {
+  const uploadedAt = metadata.uploadedAt ? new Date(metadata.uploadedAt).getTime() : '';
+  const digest = crypto.createHash('sha1').update(`${key}:${metadata.size}:${uploadedAt}`).digest('base64url');
+  return `"${digest}"`;
+};
+
+// HTTP dates have whole-second precision
+const toHttpSeconds = date => Math.floor(new Date(date).getTime() / 1000);
+
+const isNotModified = (req, etag, lastModified) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*'
+      || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  }
+
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    return !Number.isNaN(since) && toHttpSeconds(lastModified) <= Math.floor(since / 1000);
+  }
+  return false;
+};
+
+// A Range is honoured only if If-Range (when sent) still matches the current file
+const rangeStillValid = (req, etag, lastModified) => {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+  const since = Date.parse(ifRange);
+  return Boolean(lastModified) && !Number.isNaN(since) && toHttpSeconds(lastModified) === Math.floor(since / 1000);
+};
+
+// Content-Disposition for any filename: a plain ASCII fallback for old clients
+// plus the exact name in RFC 5987 form, since header values must be Latin-1
+const contentDisposition = (name) => {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Send a stored file with validators, conditional GET (304) and single-range (206)
+// support. Fails before any header is sent if the file cannot be opened, so the
+// caller's error handling still applies; a failure mid-body aborts the connection
+// rather than passing a truncated file off as complete.
+const sendStoredFile = async (req, res, key, metadata, { filename, cacheControl = 'private, no-cache' } = {}) => {
+  const etag = buildETag(key, metadata);
+  const lastModified = metadata.uploadedAt ? new Date(metadata.uploadedAt) : null;
+  const hasSize = Number.isInteger(metadata.size);
+
+  const validators = { 'ETag': etag, 'Cache-Control': cacheControl };
+  if (lastModified) validators['Last-Modified'] = lastModified.toUTCString();
+
+  if (isNotModified(req, etag, lastModified)) {
+    return res.status(304).set(validators).end();
+  }
+
+  let range;
+  if (hasSize && req.headers.range && rangeStillValid(req, etag, lastModified)) {
+    const ranges = req.range(metadata.size, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${metadata.size}`);
+      return res.status(416).json({
+        success: false,
+        message: 'Requested range not satisfiable'
+      });
+    }
+    // Multiple ranges would need a multipart body; the whole file is sent instead
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+    }
+  }
+
+  const headers = {
+    ...validators,
+    'Content-Type': metadata.contentType || 'application/octet-stream',
+    'Content-Disposition': contentDisposition(String(filename || metadata.filename || 'file')),
+    'Accept-Ranges': hasSize ? 'bytes' : 'none'
+  };
+  if (range) {
+    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${metadata.size}`;
+    headers['Content-Length'] = String(range.end - range.start + 1);
+  } else if (hasSize) {
+    headers['Content-Length'] = String(metadata.size);
+  }
+
+  // Headers go on before the file is opened so nothing can throw with a stream
+  // left open; they are taken off again if opening fails
+  res.set(headers);
+
+  let source = null;
+  if (req.method !== 'HEAD') {
+    try {
+      source = await streamFile(key, range);
+    } catch (error) {
+      Object.keys(headers).forEach(name => res.removeHeader(name));
+      throw error;
+    }
+  }
+
+  res.status(range ? 206 : 200);
+
+  if (!source) return res.end();
+
+  // pipeline destroys the source if the client goes away, and the response if the source fails
+  pipeline(source, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`Stored file stream error (${key}):`, error);
+    }
+  });
+};
+
+module.exports = {
+  sendStoredFile
+};
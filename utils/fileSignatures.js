@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Signed URLs let a browser fetch an exam file where no Authorization header can
+// be sent, such as an <iframe src>. A signature covers the file, the user it was
+// minted for and its expiry, so a leaked link is useless to anyone else once it lapses.
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 5 * 60;
+
+const getSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const computeSignature = (fileId, userId, role, expires) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${fileId}.${userId}.${role}.${expires}`)
+  .digest('base64url');
+
+// Query parameters to append to /api/exams/file/:fileId
+const signFileAccess = (fileId, userId, role, now = Date.now()) => {
+  const expires = Math.floor(now / 1000) + FILE_URL_TTL_SECONDS;
+  return {
+    uid: userId.toString(),
+    role,
+    expires,
+    sig: computeSignature(fileId.toString(), userId.toString(), role, expires)
+  };
+};
+
+// The user the signature was minted for, or null if it is forged, altered or expired
+const verifyFileAccess = (fileId, { uid, role, expires, sig } = {}, now = Date.now()) => {
+  if (!uid || !role || !expires || !sig) return null;
+
+  const expiresAt = parseInt(expires, 10);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < now) return null;
+
+  const expected = Buffer.from(computeSignature(String(fileId), String(uid), String(role), expiresAt));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  return { id: String(uid), role: String(role) };
+};
+
+module.exports = {
+  FILE_URL_TTL_SECONDS,
+  signFileAccess,
+  verifyFileAccess
+};
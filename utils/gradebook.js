@@ -0,0 +1,143 @@
+const ExcelJS = require('exceljs');
+const { stringify } = require('csv-stringify/sync');
+const Submission = require('../models/Submission');
+const ExamAttempt = require('../models/ExamAttempt');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const { escapeSpreadsheetCell } = require('./spreadsheet');
+
+const COLUMNS = [
+  { key: 'exam', header: 'Exam' },
+  { key: 'studentName', header: 'Student name' },
+  { key: 'studentEmail', header: 'Student email' },
+  { key: 'status', header: 'Status' },
+  { key: 'submittedAt', header: 'Submitted at' },
+  { key: 'late', header: 'Late' },
+  { key: 'durationMinutes', header: 'Attempt duration (min)' },
+  { key: 'score', header: 'Score' },
+  { key: 'maxScore', header: 'Max score' },
+  { key: 'feedback', header: 'Feedback' }
+];
+
+// Students expected to sit an exam: everyone enrolled in its courses. Exams not
+// assigned to a course have no roster, so only students who started it count.
+const expectedStudentIds = async (exam, attempts) => {
+  if (exam.courses && exam.courses.length > 0) {
+    const courses = await Course.find({ _id: { $in: exam.courses } }).select('students');
+    return courses.flatMap(course => course.students.map(id => id.toString()));
+  }
+  return attempts.map(attempt => attempt.studentId.toString());
+};
+
+// One row per student per exam; students without a submission are listed as missing
+const buildGradebookRows = async (exams) => {
+  const rows = [];
+
+  for (const exam of exams) {
+    const [submissions, attempts] = await Promise.all([
+      Submission.find({ examId: exam._id }).populate('studentId', 'name email'),
+      ExamAttempt.find({ examId: exam._id })
+    ]);
+    const attemptsByStudent = new Map(attempts.map(attempt => [attempt.studentId.toString(), attempt]));
+
+    const submittedIds = new Set();
+    submissions
+      .filter(submission => submission.studentId)
+      .sort((a, b) => a.studentId.name.localeCompare(b.studentId.name))
+      .forEach(submission => {
+        const studentId = submission.studentId._id.toString();
+        const attempt = attemptsByStudent.get(studentId);
+        submittedIds.add(studentId);
+
+        rows.push({
+          exam: exam.title,
+          studentName: submission.studentId.name,
+          studentEmail: submission.studentId.email,
+          status: submission.status,
+          submittedAt: submission.submittedAt,
+          late: submission.isLate || submission.status === 'late' ? 'yes' : 'no',
+          durationMinutes: attempt
+            ? Math.round(attempt.getElapsedSeconds(submission.submittedAt) / 6) / 10
+            : null,
+          score: submission.score,
+          maxScore: submission.maxScore,
+          feedback: submission.feedback || ''
+        });
+      });
+
+    const missingIds = [...new Set(await expectedStudentIds(exam, attempts))]
+      .filter(id => !submittedIds.has(id));
+    const missingStudents = await Student.find({ _id: { $in: missingIds } })
+      .select('name email')
+      .sort({ name: 1 });
+
+    missingStudents.forEach(student => {
+      rows.push({
+        exam: exam.title,
+        studentName: student.name,
+        studentEmail: student.email,
+        status: 'missing',
+        submittedAt: null,
+        late: '',
+        durationMinutes: null,
+        score: null,
+        maxScore: null,
+        feedback: ''
+      });
+    });
+  }
+
+  return rows;
+};
+
+const toCsv = (rows) => {
+  return stringify(
+    rows.map(row => COLUMNS.map(({ key }) => {
+      const value = row[key];
+      if (value instanceof Date) return value.toISOString();
+      return value === null || value === undefined ? '' : escapeSpreadsheetCell(value);
+    })),
+    { header: true, columns: COLUMNS.map(column => column.header) }
+  );
+};
+
+// Stream an XLSX workbook with one sheet straight to the response
+const writeXlsx = async (rows, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Gradebook');
+  sheet.columns = COLUMNS.map(({ key, header }) => ({ key, header, width: key === 'feedback' ? 50 : 20 }));
+  sheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    const cells = {};
+    COLUMNS.forEach(({ key }) => { cells[key] = escapeSpreadsheetCell(row[key]); });
+    sheet.addRow(cells).commit();
+  });
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Send the gradebook as a CSV or XLSX download named after `basename`
+const sendGradebook = async (res, rows, format, basename) => {
+  const safeName = basename.replace(/[^\w.-]+/g, '_');
+
+  if (format === 'xlsx') {
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${safeName}.xlsx"`
+    });
+    await writeXlsx(rows, res);
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${safeName}.csv"`
+  });
+  res.send(toCsv(rows));
+};
+
+module.exports = {
+  buildGradebookRows,
+  sendGradebook
+};
@@ -0,0 +1,94 @@
+// Automatic grading for structured (question-based) exams
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// A plain number, or a string holding only one (e.g. "3.5", "-2", "1e3").
+// Anything else, such as blanks, booleans or arrays, is not a numeric answer.
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const toNumber = (response) => {
+  if (typeof response === 'number') return Number.isFinite(response) ? response : null;
+  if (typeof response === 'string' && NUMBER_PATTERN.test(response.trim())) return Number(response.trim());
+  return null;
+};
+
+// Option indexes: integers, or strings of digits. Any other entry (blank,
+// boolean, null, nested array) makes the whole response wrong, so it returns null.
+const toIndex = (value) => {
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) return Number(value.trim());
+  return null;
+};
+
+const toIndexList = (response) => {
+  const list = (Array.isArray(response) ? response : [response]).map(toIndex);
+  return list.includes(null) ? null : list;
+};
+
+// Whether a single response matches the question's answer key.
+// Unanswered questions (null/undefined/empty string) are never correct.
+const isCorrectResponse = (question, response) => {
+  if (response === undefined || response === null || response === '') return false;
+
+  switch (question.kind) {
+    case 'multiple_choice': {
+      const chosen = toIndexList(response);
+      return chosen !== null && chosen.length === 1 && chosen[0] === question.correctOptions[0];
+    }
+    case 'multi_select': {
+      const indexes = toIndexList(response);
+      if (indexes === null) return false;
+      const chosen = [...new Set(indexes)].sort();
+      const correct = [...question.correctOptions].sort();
+      return chosen.length === correct.length && chosen.every((index, i) => index === correct[i]);
+    }
+    case 'true_false':
+      return response === question.correctBoolean || String(response) === String(question.correctBoolean);
+    case 'numeric': {
+      const value = toNumber(response);
+      if (value === null) return false;
+      return Math.abs(value - question.correctNumber) <= (question.tolerance || 0);
+    }
+    case 'short_text': {
+      const given = normalizeText(response, question.caseSensitive);
+      return question.acceptedAnswers.some(accepted => normalizeText(accepted, question.caseSensitive) === given);
+    }
+    default:
+      return false;
+  }
+};
+
+// Grade a student's responses against an exam's questions.
+// `responses` is a list of { questionId, response }; every exam question gets a
+// graded entry, so missing answers score zero.
+const gradeAnswers = (exam, responses = []) => {
+  const byQuestion = new Map(responses.map(entry => [String(entry.questionId), entry.response]));
+
+  let score = 0;
+  const answers = exam.questions.map(question => {
+    const response = byQuestion.has(String(question._id)) ? byQuestion.get(String(question._id)) : null;
+    const isCorrect = isCorrectResponse(question, response);
+    const pointsAwarded = isCorrect ? question.points : 0;
+    score += pointsAwarded;
+
+    return {
+      questionId: question._id,
+      response,
+      isCorrect,
+      pointsAwarded
+    };
+  });
+
+  return {
+    answers,
+    score,
+    maxScore: exam.getTotalPoints()
+  };
+};
+
+module.exports = {
+  isCorrectResponse,
+  gradeAnswers
+};
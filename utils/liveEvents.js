@@ -0,0 +1,99 @@
+const { EventEmitter } = require('events');
+
+// In-process publish/subscribe for live feeds, with a short replay buffer per
+// channel so a client that reconnects with its last event id misses nothing.
+// Channels are "exam:<examId>" (teacher monitor), "students:<examId>" (broadcasts
+// to everyone sitting the exam) and "attempt:<attemptId>" (one student). Events
+// only reach subscribers connected to the same server instance.
+const REPLAY_LIMIT = parseInt(process.env.LIVE_REPLAY_LIMIT, 10) || 500;
+const REPLAY_MAX_AGE_MS = parseInt(process.env.LIVE_REPLAY_MAX_AGE_MS, 10) || 60 * 60 * 1000;
+
+// Ids are "<boot>-<sequence>" with one sequence across all channels, so a client
+// following several channels can resume all of them from its single last id.
+// Ids from a previous process can never be replayed.
+const BOOT_ID = Date.now().toString(36);
+let sequence = 0;
+
+// name -> { events, droppedThrough: sequence of the newest event trimmed away }
+const channels = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Newest sequence that may have been lost with a pruned channel. A channel created
+// afterwards cannot tell whether it had older events, so it starts from this mark.
+let prunedThrough = 0;
+
+const getChannel = (name) => {
+  if (!channels.has(name)) channels.set(name, { events: [], droppedThrough: prunedThrough });
+  return channels.get(name);
+};
+
+const trim = (channel, now) => {
+  const { events } = channel;
+  while (events.length > REPLAY_LIMIT || (events.length && now - events[0].at > REPLAY_MAX_AGE_MS)) {
+    channel.droppedThrough = events.shift().sequence;
+  }
+};
+
+// Drop channels nobody listens to and whose history has expired
+const prune = (now) => {
+  for (const [name, channel] of channels) {
+    trim(channel, now);
+    if (channel.events.length === 0 && emitter.listenerCount(name) === 0) {
+      prunedThrough = Math.max(prunedThrough, channel.droppedThrough);
+      channels.delete(name);
+    }
+  }
+};
+
+const publish = (channelName, type, data = {}) => {
+  const now = Date.now();
+  const event = { id: `${BOOT_ID}-${++sequence}`, sequence, type, data, at: now };
+  const channel = getChannel(channelName);
+  channel.events.push(event);
+  trim(channel, now);
+  if (sequence % 100 === 0) prune(now);
+
+  emitter.emit(channelName, event);
+  return event;
+};
+
+const parseEventId = (eventId) => {
+  const [boot, seq] = String(eventId).split('-');
+  const parsed = parseInt(seq, 10);
+  return boot === BOOT_ID && Number.isInteger(parsed) ? parsed : null;
+};
+
+// Listen on one or more channels. `replay` holds the events published after
+// lastEventId, oldest first, or is null when some of them can no longer be
+// replayed and the client must resync.
+const subscribe = (channelNames, lastEventId, listener) => {
+  const names = [].concat(channelNames);
+  let replay = [];
+
+  if (lastEventId) {
+    const lastSequence = parseEventId(lastEventId);
+    const missed = lastSequence === null ? null : names.map(name => getChannel(name));
+    replay = missed && missed.every(channel => channel.droppedThrough <= lastSequence)
+      ? missed.flatMap(channel => channel.events.filter(event => event.sequence > lastSequence))
+        .sort((a, b) => a.sequence - b.sequence)
+      : null;
+  }
+
+  names.forEach(name => emitter.on(name, listener));
+  return {
+    replay,
+    unsubscribe: () => names.forEach(name => emitter.off(name, listener))
+  };
+};
+
+const publishExamEvent = (examId, type, data) => publish(`exam:${examId}`, type, { examId, ...data });
+
+const publishAttemptEvent = (attemptId, type, data) => publish(`attempt:${attemptId}`, type, { attemptId, ...data });
+
+module.exports = {
+  publish,
+  publishExamEvent,
+  publishAttemptEvent,
+  subscribe
+};
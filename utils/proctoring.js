@@ -0,0 +1,167 @@
+const ExamAttempt = require('../models/ExamAttempt');
+const ProctoringEvent = require('../models/ProctoringEvent');
+const { publishExamEvent } = require('./liveEvents');
+
+// Requests from two different sessions or tabs within this window mean the
+// attempt is open in two places at once (heartbeats arrive every ~30s)
+const CONCURRENT_WINDOW_MS = parseInt(process.env.PROCTORING_CONCURRENT_WINDOW_MS, 10) || 90 * 1000;
+
+// Where a request came from. The client id is a random per-tab value the exam
+// client sends in X-Client-Id (or as clientId in the body).
+const describeClient = req => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent') || '',
+  sessionId: req.user.sid,
+  clientId: String(req.get('X-Client-Id') || (req.body && req.body.clientId) || '').slice(0, 100) || undefined
+});
+
+// Record this request's client as the attempt's last seen one and return the
+// server-side events that follow from comparing it with the previous one. Done in
+// one atomic update, so parallel requests each compare against the true previous client.
+const observeClient = async (attempt, client, now) => {
+  const lastSeen = {
+    'proctoring.lastIp': client.ip,
+    'proctoring.lastUserAgent': client.userAgent,
+    'proctoring.lastSeenAt': now
+  };
+  if (client.sessionId) lastSeen['proctoring.lastSessionId'] = client.sessionId;
+  if (client.clientId) lastSeen['proctoring.lastClientId'] = client.clientId;
+
+  const previous = await ExamAttempt.findOneAndUpdate(
+    { _id: attempt._id },
+    { $set: lastSeen },
+    { new: false, projection: { proctoring: 1 } }
+  );
+  const state = (previous && previous.proctoring) || {};
+  const events = [];
+
+  if (state.lastSeenAt) {
+    const recent = now - state.lastSeenAt < CONCURRENT_WINDOW_MS;
+    const otherSession = state.lastSessionId && client.sessionId && state.lastSessionId !== client.sessionId;
+    const otherClient = state.lastClientId && client.clientId && state.lastClientId !== client.clientId;
+
+    if (recent && (otherSession || otherClient)) {
+      events.push({
+        type: 'concurrent_session',
+        details: {
+          previousSessionId: state.lastSessionId,
+          previousClientId: state.lastClientId,
+          previousIp: state.lastIp
+        }
+      });
+    }
+    if (state.lastIp && state.lastIp !== client.ip) {
+      events.push({ type: 'ip_change', details: { from: state.lastIp, to: client.ip } });
+    }
+    if (state.lastUserAgent && state.lastUserAgent !== client.userAgent) {
+      events.push({ type: 'user_agent_change', details: { from: state.lastUserAgent, to: client.userAgent } });
+    }
+  }
+
+  return events.map(event => ({ ...event, source: 'server', occurredAt: now, ...client }));
+};
+
+// Flag the attempt for every event type whose count reached the exam's threshold.
+// Recomputed from the counts, so changed thresholds apply to existing attempts too.
+const applyThresholds = (attempt, exam, now = new Date()) => {
+  const state = attempt.proctoring;
+  const thresholds = exam.getProctoringThresholds();
+
+  state.flagReasons = Object.entries(thresholds)
+    .filter(([type, limit]) => limit && (state.counts.get(type) || 0) >= limit)
+    .map(([type]) => type);
+  state.flagged = state.flagReasons.length > 0;
+  state.flaggedAt = state.flagged ? (state.flaggedAt || now) : null;
+};
+
+// Store client-reported events plus whatever the server notices about this
+// request, and update the attempt's counters and flags. Heartbeats and event
+// reports arrive in parallel, so all of it is written with atomic updates rather
+// than through the caller's copy of the attempt, whose proctoring state is left as loaded.
+const recordProctoringEvents = async (attempt, exam, req, clientEvents = [], now = new Date()) => {
+  const client = describeClient(req);
+
+  const events = [
+    ...clientEvents.map(event => ({
+      type: event.type,
+      source: 'client',
+      // Client clocks drift; never accept a time in the future
+      occurredAt: event.occurredAt && new Date(event.occurredAt) < now ? new Date(event.occurredAt) : now,
+      details: event.details || {},
+      ...client
+    })),
+    ...await observeClient(attempt, client, now)
+  ].map(event => ({
+    ...event,
+    attemptId: attempt._id,
+    examId: attempt.examId,
+    studentId: attempt.studentId,
+    receivedAt: now
+  }));
+
+  if (events.length === 0) return [];
+
+  await ProctoringEvent.insertMany(events);
+
+  const increments = {};
+  events.forEach(event => {
+    const path = `proctoring.counts.${event.type}`;
+    increments[path] = (increments[path] || 0) + 1;
+  });
+  const updated = await ExamAttempt.findOneAndUpdate(
+    { _id: attempt._id },
+    { $inc: increments },
+    { new: true }
+  );
+  if (!updated) return events;
+
+  const previousReasons = [...updated.proctoring.flagReasons];
+  applyThresholds(updated, exam, now);
+  const newReasons = updated.proctoring.flagReasons.filter(reason => !previousReasons.includes(reason));
+
+  // Counts only grow here, so flags are only ever added, never rewritten
+  if (newReasons.length > 0) {
+    await ExamAttempt.updateOne(
+      { _id: attempt._id },
+      {
+        $addToSet: { 'proctoring.flagReasons': { $each: newReasons } },
+        $set: { 'proctoring.flagged': true }
+      }
+    );
+    await ExamAttempt.updateOne(
+      { _id: attempt._id, 'proctoring.flaggedAt': null },
+      { $set: { 'proctoring.flaggedAt': now } }
+    );
+
+    publishExamEvent(exam._id, 'proctoring.flagged', {
+      attemptId: attempt._id,
+      studentId: attempt.studentId,
+      newReasons,
+      ...summarizeProctoring(updated)
+    });
+  }
+
+  return events;
+};
+
+// What a teacher sees next to a submission
+const summarizeProctoring = (attempt) => {
+  const state = attempt.proctoring || {};
+  const counts = state.counts ? Object.fromEntries(state.counts) : {};
+  const suspicionScore = Object.entries(counts).reduce((score, [type, count]) =>
+    score + (ProctoringEvent.SUSPICION_WEIGHTS[type] || 0) * count, 0);
+
+  return {
+    flagged: Boolean(state.flagged),
+    flaggedAt: state.flaggedAt || null,
+    flagReasons: state.flagReasons || [],
+    counts,
+    suspicionScore
+  };
+};
+
+module.exports = {
+  recordProctoringEvents,
+  applyThresholds,
+  summarizeProctoring
+};
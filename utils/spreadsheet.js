@@ -0,0 +1,12 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Make a user-supplied value safe to put in an exported CSV or XLSX cell: text
+// that would be read as a formula gets a leading quote so it is shown as text
+const escapeSpreadsheetCell = (value) => {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+};
+
+module.exports = {
+  escapeSpreadsheetCell
+};
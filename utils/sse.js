@@ -0,0 +1,43 @@
+// Server-Sent Events response helpers
+const KEEPALIVE_MS = 25 * 1000;
+
+// Switch the response to an event stream. send() writes an event; events
+// without an id are not replayable and leave the client's Last-Event-ID alone.
+// onClose runs once, when the client disconnects or close() is called.
+const openEventStream = (req, res, onClose) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  let closed = false;
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepalive);
+    if (onClose) onClose();
+  };
+  req.on('close', cleanup);
+
+  return {
+    send: ({ id, type, data }) => {
+      if (closed) return;
+      if (id) res.write(`id: ${id}\n`);
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close: () => {
+      cleanup();
+      res.end();
+    },
+    isClosed: () => closed
+  };
+};
+
+module.exports = {
+  openEventStream
+};
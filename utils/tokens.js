@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Short-lived JWT bound to a session, so revoking the session revokes the token
+const generateAccessToken = (userId, role, sessionId) => {
+  return jwt.sign(
+    { id: userId, role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const requestInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+// Start a new session for a user and return its first token pair
+const createSession = async (userId, role, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId,
+    role,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...requestInfo(req)
+  });
+
+  return {
+    token: generateAccessToken(userId, role, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair. Throws with `status` set when
+// the token is unknown, expired or revoked; a token that was already rotated
+// out revokes the whole session, since it means the token leaked.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+  if (!session) {
+    const reused = await Session.findOne({ usedTokenHashes: tokenHash });
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = now;
+      reused.revokedReason = 'reuse_detected';
+      await reused.save();
+    }
+    const error = new Error(reused ? 'Refresh token reuse detected. Please log in again.' : 'Invalid refresh token');
+    error.status = 401;
+    throw error;
+  }
+
+  if (!session.isActive(now)) {
+    const error = new Error('Session has expired or been revoked. Please log in again.');
+    error.status = 401;
+    throw error;
+  }
+
+  const nextToken = generateRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashToken(nextToken), lastUsedAt: now, ...requestInfo(req) },
+      $push: { usedTokenHashes: tokenHash }
+    },
+    { new: true }
+  );
+
+  // Another request rotated the same token first
+  if (!rotated) {
+    const error = new Error('Invalid refresh token');
+    error.status = 401;
+    throw error;
+  }
+
+  return {
+    token: generateAccessToken(rotated.userId, rotated.role, rotated._id),
+    refreshToken: nextToken,
+    session: rotated
+  };
+};
+
+const revokeSession = (sessionId, reason = 'logout') => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeAllSessions = (userId, role, reason = 'logout_all') => {
+  return Session.updateMany(
+    { userId, role, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Whether a session can still be used; long-lived streams re-check this
+// because they outlive the access token they were opened with
+const isSessionActive = async (sessionId) => {
+  const session = sessionId ? await Session.findById(sessionId) : null;
+  return Boolean(session && session.isActive());
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,21 @@
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Admin = require('../models/Admin');
+
+// Accounts live in one collection per role
+const getUserModel = (role) => {
+  switch (role) {
+    case 'student':
+      return Student;
+    case 'teacher':
+      return Teacher;
+    case 'admin':
+      return Admin;
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  getUserModel
+};
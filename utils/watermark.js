@@ -0,0 +1,128 @@
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const sharp = require('sharp');
+const ExamAttempt = require('../models/ExamAttempt');
+const Student = require('../models/Student');
+const { putFile, getFile, statFile, deleteFile } = require('../storage');
+
+const WATERMARKABLE_TYPES = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+
+// The standard PDF fonts only cover WinAnsi (roughly Latin-1)
+const toWinAnsi = text => String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const escapeXml = text => String(text).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+}[char]));
+
+// A large diagonal stamp across the middle, and every detail in a footer line
+const watermarkPdf = async (buffer, { headline, footer }) => {
+  const pdf = await PDFDocument.load(buffer);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const stamp = toWinAnsi(headline);
+  const detail = toWinAnsi(footer);
+
+  for (const page of pdf.getPages()) {
+    const { width, height } = page.getSize();
+    const stampSize = Math.max(12, Math.min(48, (Math.hypot(width, height) * 0.7) / Math.max(stamp.length * 0.55, 1)));
+    const stampWidth = font.widthOfTextAtSize(stamp, stampSize);
+    const angle = Math.atan2(height, width);
+
+    page.drawText(stamp, {
+      x: width / 2 - (Math.cos(angle) * stampWidth) / 2,
+      y: height / 2 - (Math.sin(angle) * stampWidth) / 2,
+      size: stampSize,
+      font,
+      color: rgb(0.6, 0.6, 0.6),
+      opacity: 0.25,
+      rotate: degrees((angle * 180) / Math.PI)
+    });
+
+    const footerSize = Math.max(6, Math.min(9, (width - 40) / Math.max(detail.length * 0.5, 1)));
+    page.drawText(detail, {
+      x: 20,
+      y: 12,
+      size: footerSize,
+      font,
+      color: rgb(0.4, 0.4, 0.4),
+      opacity: 0.8
+    });
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+const watermarkImage = async (buffer, contentType, { headline, footer }) => {
+  // Apply EXIF orientation first so the stamp lands on the image as displayed
+  const { data, info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const stampSize = Math.max(12, Math.round(Math.min(width, height) / 14));
+  const footerSize = Math.max(10, Math.round(Math.min(width, height) / 60));
+  const angle = -(Math.atan2(height, width) * 180) / Math.PI;
+
+  const overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" font-family="sans-serif"
+    font-size="${stampSize}" fill="#808080" fill-opacity="0.3"
+    transform="rotate(${angle} ${width / 2} ${height / 2})">${escapeXml(headline)}</text>
+  <text x="10" y="${height - footerSize}" font-family="sans-serif" font-size="${footerSize}"
+    fill="#555555" fill-opacity="0.85">${escapeXml(footer)}</text>
+</svg>`);
+
+  const stamped = sharp(data).composite([{ input: overlay, top: 0, left: 0 }]);
+  return contentType === 'image/png' ? stamped.png().toBuffer() : stamped.jpeg({ quality: 90 }).toBuffer();
+};
+
+// Stamp identifying details onto a PDF (every page) or an image
+const applyWatermark = (buffer, contentType, details) => {
+  if (contentType === 'application/pdf') return watermarkPdf(buffer, details);
+  return watermarkImage(buffer, contentType, details);
+};
+
+// This attempt's watermarked copy of the exam paper as { key, metadata }, made
+// from the original on first request and reused until the paper changes.
+const getWatermarkedCopy = async (exam, attempt, now = new Date()) => {
+  const sourceKey = exam.getExamFileKey();
+  const cached = attempt.watermarkedFile || {};
+  if (cached.key && cached.sourceKey === sourceKey) {
+    const metadata = await statFile(cached.key);
+    if (metadata) return { key: cached.key, metadata };
+  }
+
+  const source = await statFile(sourceKey);
+  if (!source) return null;
+  if (!WATERMARKABLE_TYPES.includes(source.contentType)) {
+    throw new Error(`Cannot watermark files of type ${source.contentType}`);
+  }
+
+  const student = await Student.findById(attempt.studentId).select('name email');
+  const details = {
+    headline: `${student.name} - ${student.email}`,
+    footer: `${student.name} <${student.email}> | attempt ${attempt._id} | ${now.toISOString()}`
+  };
+  const stamped = await applyWatermark(await getFile(sourceKey), source.contentType, details);
+  const key = await putFile('watermarks', stamped, {
+    filename: source.filename,
+    contentType: source.contentType,
+    metadata: { attemptId: attempt._id, examId: exam._id }
+  });
+
+  // Only one concurrent request gets to record its copy; the others discard theirs
+  const claimed = await ExamAttempt.findOneAndUpdate(
+    { _id: attempt._id, 'watermarkedFile.key': cached.key || null },
+    { $set: { watermarkedFile: { key, sourceKey, createdAt: now } } },
+    { new: true }
+  );
+  if (!claimed) {
+    await deleteFile(key);
+    const current = await ExamAttempt.findById(attempt._id);
+    return getWatermarkedCopy(exam, current, now);
+  }
+
+  if (cached.key) {
+    deleteFile(cached.key).catch(error => console.error('Stale watermark cleanup error:', error));
+  }
+  return { key, metadata: await statFile(key) };
+};
+
+module.exports = {
+  applyWatermark,
+  getWatermarkedCopy
+};